@@ -1,7 +1,7 @@
 // KickCraft service worker (GitHub Pages)
 // Simple cache-first for app shell + game pages.
 
-const VERSION = 'kickcraft-v3';
+const VERSION = 'kickcraft-v4';
 const CORE_ASSETS = [
   '/kickcraft/',
   '/kickcraft/index.html',
@@ -14,6 +14,7 @@ const CORE_ASSETS = [
   '/kickcraft/web/vendor/react-dom.18.prod.min.js',
   '/kickcraft/web/vendor/babel.min.js',
   '/kickcraft/web/fc-street/index.html',
+  '/kickcraft/web/fc-street/sim-core.js',
   '/kickcraft/web/kickcraft-11v11/index.html',
 ];
 
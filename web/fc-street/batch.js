@@ -0,0 +1,41 @@
+// Plays a batch of CPU-vs-CPU matches in Node and prints the balancing
+// report. CFG values can be overridden for the run to try a tuning change
+// before editing sim-core.js:
+//
+//   node web/fc-street/batch.js --matches 200 --seed 1 --set tackleRange=2.8
+//
+// --json <file> also writes the full summary as JSON.
+const fs = require("fs");
+const core = require("./sim-core.js");
+
+function readOptions(args) {
+  const options = { matches: 100, seed: 1, overrides: {}, json: null };
+  for (let index = 0; index < args.length; index += 1) {
+    const name = args[index];
+    const value = args[index + 1];
+    index += 1;
+    if (name === "--matches") {
+      options.matches = Math.max(1, Math.floor(Number(value)) || options.matches);
+    } else if (name === "--seed") {
+      options.seed = value;
+    } else if (name === "--json") {
+      options.json = value;
+    } else if (name === "--set") {
+      const [key, number] = String(value).split("=");
+      if (!(key in core.CFG) || !Number.isFinite(Number(number))) throw new Error("Unknown or non-numeric CFG override: " + value);
+      options.overrides[key] = Number(number);
+    } else {
+      throw new Error("Unknown option: " + name);
+    }
+  }
+  return options;
+}
+
+const options = readOptions(process.argv.slice(2));
+Object.assign(core.CFG, options.overrides);
+const started = Date.now();
+const summary = { ...core.runBatch({ matches: options.matches, seed: options.seed }), overrides: options.overrides };
+console.log(core.formatBatchReport(summary));
+if (Object.keys(options.overrides).length) console.log("CFG overrides: " + JSON.stringify(options.overrides));
+console.log("Ran in " + ((Date.now() - started) / 1000).toFixed(1) + "s");
+if (options.json) fs.writeFileSync(options.json, JSON.stringify(summary, null, 2) + "\n");
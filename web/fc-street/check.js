@@ -0,0 +1,75 @@
+// Determinism check for the Node core. The same seed has to play the same
+// match twice, that match's replay has to play back to the same score and
+// events, and a short batch has to repeat exactly and stay within sane
+// bounds. Prints one line per check and exits non-zero if any fails:
+//
+//   node web/fc-street/check.js --seed 7 --matches 4
+const core = require("./sim-core.js");
+
+function readOptions(args) {
+  const options = { seed: 7, matches: 4 };
+  for (let index = 0; index < args.length; index += 1) {
+    const name = args[index];
+    const value = args[index + 1];
+    index += 1;
+    if (name === "--seed") {
+      options.seed = value;
+    } else if (name === "--matches") {
+      options.matches = Math.max(1, Math.floor(Number(value)) || options.matches);
+    } else {
+      throw new Error("Unknown option: " + name);
+    }
+  }
+  return options;
+}
+
+// What a match has to reproduce: the score, every match event and the
+// final state hash.
+function fingerprint(result) {
+  return JSON.stringify({ scores: result.scores, events: result.events, hash: core.hashSimState() });
+}
+
+function checkBatchBounds(summary, matches) {
+  const results = summary.results.p1 + summary.results.draw + summary.results.cpu;
+  const possession = summary.possession.p1 + summary.possession.cpu;
+  const problems = [];
+  if (summary.matches !== matches || results !== matches) problems.push("results cover " + results + " of " + matches + " matches");
+  if (Math.abs(possession - 100) > 0.2) problems.push("possession adds up to " + possession + "%");
+  if (summary.goalsPerMatch.total < 0 || summary.goalsPerMatch.total > 20) problems.push(summary.goalsPerMatch.total + " goals per match");
+  [summary.steals, summary.slides].forEach((line) => {
+    if (line.won > line.attempts) problems.push(line.won + " won from " + line.attempts + " attempts");
+  });
+  return problems;
+}
+
+const options = readOptions(process.argv.slice(2));
+const checks = [];
+const check = (name, ok, detail) => {
+  checks.push(ok);
+  console.log((ok ? "ok   " : "FAIL ") + name + (detail ? " (" + detail + ")" : ""));
+};
+
+const first = core.runMatch({ seed: options.seed });
+const firstPrint = fingerprint(first);
+const replay = JSON.stringify(core.exportReplay());
+const second = core.runMatch({ seed: options.seed });
+check(
+  "seed " + core.gameState.seed + " plays the same match twice",
+  first.finished && fingerprint(second) === firstPrint,
+  first.scores.p1 + "-" + first.scores.cpu + ", " + first.events.length + " events, " + first.steps + " steps"
+);
+
+const played = core.runMatch({ replay });
+check(
+  "its replay plays back to the same score and events",
+  fingerprint(played) === firstPrint,
+  played.scores.p1 + "-" + played.scores.cpu + ", " + played.events.length + " events"
+);
+
+const batch = core.runBatch({ matches: options.matches, seed: options.seed });
+const again = core.runBatch({ matches: options.matches, seed: options.seed });
+check("a " + options.matches + "-match batch repeats exactly", JSON.stringify(batch) === JSON.stringify(again));
+const problems = checkBatchBounds(batch, options.matches);
+check("the batch report stays within bounds", !problems.length, problems.join("; "));
+
+process.exitCode = checks.every(Boolean) ? 0 : 1;
@@ -0,0 +1,294 @@
+// Relay and lobby for online head-to-head matches. One player creates a
+// room and shares its four-letter code, the other joins with it, and from
+// then on the relay passes each side's messages to the other. It never runs
+// the match: both browsers simulate it in lockstep from the same inputs.
+// It also serves web/, so the game and the relay share one port:
+//
+//   node web/fc-street/relay.js --port 8787
+//
+// then open http://localhost:8787/fc-street/ in two windows. --host 0.0.0.0
+// opens it to the local network. The page finds the relay on its own host
+// at /relay, or wherever ?relay=ws://... points.
+//
+// No dependencies: the WebSocket side is the slice of RFC 6455 the game
+// needs (unfragmented text frames, ping and close) on Node's http upgrade.
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+const WEB_ROOT = path.resolve(__dirname, "..");
+const RELAY_PATH = "/relay";
+const WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const ROOM_CODE_LETTERS = "ABCDEFGHJKLMNPQRSTUVWXYZ";
+const ROOM_CODE_LENGTH = 4;
+const MAX_MESSAGE_BYTES = 64 * 1024;
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json",
+  ".webmanifest": "application/manifest+json",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".svg": "image/svg+xml",
+  ".glb": "model/gltf-binary",
+};
+
+const rooms = new Map();
+
+function readOptions(args) {
+  const options = { port: 8787, host: "127.0.0.1" };
+  for (let index = 0; index < args.length; index += 1) {
+    const name = args[index];
+    const value = args[index + 1];
+    index += 1;
+    if (name === "--port") {
+      options.port = Math.floor(Number(value));
+      if (!(options.port >= 0 && options.port < 65536)) throw new Error("Invalid port: " + value);
+    } else if (name === "--host") {
+      options.host = value;
+    } else {
+      throw new Error("Unknown option: " + name);
+    }
+  }
+  return options;
+}
+
+// --- Static files ---
+
+function serveFile(request, response) {
+  const url = new URL(request.url, "http://localhost");
+  if (url.pathname === "/") {
+    response.writeHead(302, { Location: "/fc-street/" });
+    response.end();
+    return;
+  }
+  // A malformed escape, or one that decodes to a NUL byte, which fs
+  // rejects by throwing, is a bad request rather than a server error.
+  let pathname = null;
+  try {
+    pathname = decodeURIComponent(url.pathname);
+  } catch (error) {
+    pathname = null;
+  }
+  if (pathname === null || pathname.includes("\0")) {
+    response.writeHead(400, { "Content-Type": "text/plain" });
+    response.end("Bad request");
+    return;
+  }
+  let file = path.join(WEB_ROOT, path.normalize(pathname));
+  if (file !== WEB_ROOT && !file.startsWith(WEB_ROOT + path.sep)) {
+    response.writeHead(403);
+    response.end();
+    return;
+  }
+  if (fs.existsSync(file) && fs.statSync(file).isDirectory()) file = path.join(file, "index.html");
+  fs.readFile(file, (error, data) => {
+    if (error) {
+      response.writeHead(404, { "Content-Type": "text/plain" });
+      response.end("Not found");
+      return;
+    }
+    response.writeHead(200, { "Content-Type": CONTENT_TYPES[path.extname(file)] || "application/octet-stream" });
+    response.end(data);
+  });
+}
+
+// --- WebSocket framing ---
+
+function acceptClient(request, socket) {
+  const url = new URL(request.url, "http://localhost");
+  const key = request.headers["sec-websocket-key"];
+  if (url.pathname !== RELAY_PATH || !key || String(request.headers.upgrade).toLowerCase() !== "websocket") {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+    return;
+  }
+  const accept = crypto.createHash("sha1").update(key + WEBSOCKET_GUID).digest("base64");
+  socket.write([
+    "HTTP/1.1 101 Switching Protocols",
+    "Upgrade: websocket",
+    "Connection: Upgrade",
+    "Sec-WebSocket-Accept: " + accept,
+    "",
+    "",
+  ].join("\r\n"));
+  socket.setNoDelay(true);
+  const client = { socket, open: true, pending: Buffer.alloc(0), room: null };
+  socket.on("data", (chunk) => readFrames(client, chunk));
+  socket.on("close", () => {
+    client.open = false;
+    leaveRoom(client);
+  });
+  socket.on("error", () => socket.destroy());
+}
+
+// Client frames are always masked. Anything fragmented, unmasked or over
+// MAX_MESSAGE_BYTES closes the connection; the game never sends those.
+function readFrames(client, chunk) {
+  client.pending = Buffer.concat([client.pending, chunk]);
+  while (client.open && client.pending.length >= 2) {
+    const data = client.pending;
+    const final = (data[0] & 0x80) !== 0;
+    const opcode = data[0] & 0x0f;
+    const masked = (data[1] & 0x80) !== 0;
+    let length = data[1] & 0x7f;
+    let offset = 2;
+    if (length === 126) {
+      if (data.length < 4) return;
+      length = data.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (data.length < 10) return;
+      length = Number(data.readBigUInt64BE(2));
+      offset = 10;
+    }
+    if (!final || !masked || length > MAX_MESSAGE_BYTES) {
+      closeClient(client, 1009);
+      return;
+    }
+    if (data.length < offset + 4 + length) return;
+    const mask = data.subarray(offset, offset + 4);
+    const payload = Buffer.from(data.subarray(offset + 4, offset + 4 + length));
+    for (let index = 0; index < payload.length; index += 1) payload[index] ^= mask[index % 4];
+    client.pending = data.subarray(offset + 4 + length);
+
+    if (opcode === 0x1) {
+      handleMessage(client, payload.toString("utf8"));
+    } else if (opcode === 0x8) {
+      closeClient(client, 1000);
+    } else if (opcode === 0x9) {
+      writeFrame(client, 0xa, payload);
+    }
+  }
+}
+
+function writeFrame(client, opcode, payload) {
+  if (!client.open) return;
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  client.socket.write(Buffer.concat([header, payload]));
+}
+
+function send(client, message) {
+  writeFrame(client, 0x1, Buffer.from(typeof message === "string" ? message : JSON.stringify(message)));
+}
+
+function closeClient(client, code) {
+  if (!client.open) return;
+  const payload = Buffer.alloc(2);
+  payload.writeUInt16BE(code, 0);
+  writeFrame(client, 0x8, payload);
+  client.open = false;
+  client.socket.end();
+  leaveRoom(client);
+}
+
+// --- Rooms ---
+// A room is a host (City) and at most one guest (the away side). Lobby
+// messages are handled here; everything else from a side in a full room
+// goes to the other side untouched.
+
+function createRoomCode() {
+  let code;
+  do {
+    code = Array.from({ length: ROOM_CODE_LENGTH }, () => ROOM_CODE_LETTERS[crypto.randomInt(ROOM_CODE_LETTERS.length)]).join("");
+  } while (rooms.has(code));
+  return code;
+}
+
+function getPeer(client) {
+  const room = client.room && rooms.get(client.room);
+  if (!room) return null;
+  return room.host === client ? room.guest : room.host;
+}
+
+// Either side leaving ends the room; the other side is told and can make
+// or join a new one.
+function leaveRoom(client) {
+  const room = client.room && rooms.get(client.room);
+  client.room = null;
+  if (!room) return;
+  rooms.delete(room.code);
+  const peer = room.host === client ? room.guest : room.host;
+  if (peer) {
+    peer.room = null;
+    send(peer, { type: "left" });
+  }
+}
+
+function handleMessage(client, text) {
+  let message;
+  try {
+    message = JSON.parse(text);
+  } catch (error) {
+    send(client, { type: "error", message: "Messages must be JSON" });
+    return;
+  }
+  if (!message || typeof message.type !== "string") return;
+
+  if (message.type === "create") {
+    leaveRoom(client);
+    const code = createRoomCode();
+    rooms.set(code, { code, host: client, guest: null });
+    client.room = code;
+    send(client, { type: "room", code, side: "p1" });
+  } else if (message.type === "join") {
+    const code = String(message.code || "").trim().toUpperCase();
+    const room = rooms.get(code);
+    if (!room || room.host === client) {
+      send(client, { type: "error", message: "No room with code " + (code || "(blank)") });
+    } else if (room.guest) {
+      send(client, { type: "error", message: "Room " + code + " is already full" });
+    } else {
+      leaveRoom(client);
+      room.guest = client;
+      client.room = code;
+      send(client, { type: "room", code, side: "cpu" });
+      send(room.host, { type: "joined", code });
+    }
+  } else if (message.type === "leave") {
+    leaveRoom(client);
+  } else {
+    const peer = getPeer(client);
+    if (peer) send(peer, text);
+  }
+}
+
+const options = readOptions(process.argv.slice(2));
+// One bad request or upgrade fails on its own rather than taking every open
+// room down with the process.
+const server = http.createServer((request, response) => {
+  try {
+    serveFile(request, response);
+  } catch (error) {
+    console.error("Request failed:", request.url, error.message);
+    if (!response.headersSent) response.writeHead(500, { "Content-Type": "text/plain" });
+    response.end();
+  }
+});
+server.on("clientError", (error, socket) => socket.end("HTTP/1.1 400 Bad Request\r\n\r\n"));
+server.on("upgrade", (request, socket) => {
+  try {
+    acceptClient(request, socket);
+  } catch (error) {
+    console.error("Upgrade failed:", request.url, error.message);
+    socket.destroy();
+  }
+});
+server.listen(options.port, options.host, () => {
+  const { port } = server.address();
+  console.log("FC Street relay on http://" + options.host + ":" + port + "/fc-street/ (WebSocket at " + RELAY_PATH + ")");
+});
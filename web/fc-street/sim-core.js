@@ -0,0 +1,3890 @@
+// FC Street match simulation: settings, players and ball, CPU play,
+// restarts, periods and shootouts. Nothing here touches the DOM or a
+// renderer. The page loads it as a classic script ahead of its own, so these
+// declarations are shared globals there, and Node can require it to play
+// whole matches headlessly. Players and the ball keep their simulated
+// transform in `body`; renderers copy that onto their meshes and never write
+// back.
+if (typeof THREE === "undefined" && typeof require === "function") {
+  globalThis.THREE = require("../vendor/three.r128.min.js");
+}
+
+const CFG = {
+  fieldW: 68,
+  fieldL: 110,
+  goalWidth: 18,
+  goalHeight: 3.6,
+  matchDurationSec: 180,
+  extraTimeSec: 60,
+  maxStoppageShare: 0.12,
+  kickoffClearance: 6,
+  goalPauseSec: 1.05,
+  playerSpeed: 15.0,
+  sprintSpeed: 23.5,
+  cpuSpeed: 14.5,
+  gravity: 26,
+  ballDragPerSec: 0.45,
+  pickupRadius: 2.1,
+  playerRadius: 1.15,
+  collisionResolve: 0.9,
+  tackleRange: 2.6,
+  stealConeDot: -0.18,
+  dashDurationSec: 0.26,
+  dashCooldownSec: 0.95,
+  skillDurationSec: 0.34,
+  skillCooldownSec: 0.82,
+  stealCooldownSec: 0.66,
+  slideDurationSec: 0.32,
+  slideCooldownSec: 1.34,
+  teamPressDurationSec: 2.6,
+  teamPressCooldownSec: 4.1,
+  ballControlSpring: 18,
+  ballControlDamping: 0.82,
+  ballMagnus: 0.058,
+  touchNoise: 1.15,
+  looseBallGroundFriction: 1.4,
+  rewindBufferSec: 10,
+  rewindSampleSec: 1 / 30,
+  goalReplaySec: 6,
+  restartSetupSec: 0.8,
+  restartCpuDelaySec: 0.9,
+  restartClearance: 6,
+  offsideLineMs: 2600,
+  penaltyAreaWidth: 22,
+  penaltyAreaDepth: 16.8,
+  penaltySpotDist: 11,
+  wallDistance: 6.5,
+  gkReactSec: 0.12,
+  gkShotMinSpeed: 12,
+  gkHoldSpeed: 22,
+  gkParrySpeed: 34,
+  gkDiveSpeed: 8,
+  gkRecoverSec: 0.6,
+  shootoutRounds: 5,
+  shootoutFlightSec: 2.6,
+  shootoutResultSec: 1.6,
+};
+
+const MODES = Object.freeze({
+  TITLE: "title",
+  SQUAD: "squad",
+  PLAYING: "playing",
+  PAUSED: "paused",
+  HALFTIME: "halftime",
+  FULLTIME: "fulltime",
+  COMPETITION: "competition",
+  REPLAY: "replay",
+  BATCH: "batch",
+  ONLINE: "online",
+});
+
+// One slot per player in each side's MATCH_ROSTER order (gk, rb, rcb, lcb,
+// lb, dm, rcm, lcm, rw, st, lw). Coordinates are City's half; the away
+// side mirrors z. The slot at the centre spot takes kickoffs.
+const FORMATIONS = Object.freeze({
+  "4-3-3": [
+    { pos: "GK", x: 0, z: 50 }, { pos: "RB", x: 26, z: 34 }, { pos: "CB", x: 9, z: 38 }, { pos: "CB", x: -9, z: 38 },
+    { pos: "LB", x: -26, z: 34 }, { pos: "DM", x: 0, z: 24 }, { pos: "CM", x: 12, z: 16 }, { pos: "CM", x: -12, z: 16 },
+    { pos: "RW", x: 24, z: 3 }, { pos: "ST", x: 0, z: 0 }, { pos: "LW", x: -24, z: 3 },
+  ],
+  "4-4-2": [
+    { pos: "GK", x: 0, z: 50 }, { pos: "RB", x: 26, z: 34 }, { pos: "CB", x: 9, z: 38 }, { pos: "CB", x: -9, z: 38 },
+    { pos: "LB", x: -26, z: 34 }, { pos: "CM", x: -8, z: 20 }, { pos: "CM", x: 8, z: 20 }, { pos: "LM", x: -24, z: 14 },
+    { pos: "RM", x: 24, z: 14 }, { pos: "ST", x: 0, z: 0 }, { pos: "ST", x: -8, z: 4 },
+  ],
+  "3-5-2": [
+    { pos: "GK", x: 0, z: 50 }, { pos: "RWB", x: 28, z: 22 }, { pos: "CB", x: 12, z: 38 }, { pos: "CB", x: -12, z: 38 },
+    { pos: "LWB", x: -28, z: 22 }, { pos: "CB", x: 0, z: 40 }, { pos: "CM", x: 12, z: 18 }, { pos: "CM", x: -12, z: 18 },
+    { pos: "AM", x: 0, z: 12 }, { pos: "ST", x: 0, z: 0 }, { pos: "ST", x: -8, z: 4 },
+  ],
+  "4-2-3-1": [
+    { pos: "GK", x: 0, z: 50 }, { pos: "RB", x: 26, z: 34 }, { pos: "CB", x: 9, z: 38 }, { pos: "CB", x: -9, z: 38 },
+    { pos: "LB", x: -26, z: 34 }, { pos: "DM", x: 7, z: 24 }, { pos: "AM", x: 0, z: 12 }, { pos: "DM", x: -7, z: 24 },
+    { pos: "RAM", x: 22, z: 8 }, { pos: "ST", x: 0, z: 0 }, { pos: "LAM", x: -22, z: 8 },
+  ],
+  "5-3-2": [
+    { pos: "GK", x: 0, z: 50 }, { pos: "RWB", x: 28, z: 30 }, { pos: "CB", x: 12, z: 38 }, { pos: "CB", x: -12, z: 38 },
+    { pos: "LWB", x: -28, z: 30 }, { pos: "CB", x: 0, z: 40 }, { pos: "CM", x: 13, z: 20 }, { pos: "CM", x: -13, z: 20 },
+    { pos: "CM", x: 0, z: 22 }, { pos: "ST", x: 0, z: 0 }, { pos: "ST", x: -8, z: 4 },
+  ],
+});
+const DEFAULT_FORMATION = "4-3-3";
+
+// Off-ball team instructions. line shifts the outfield shape towards its
+// own goal (positive) or up the pitch; width scales the lateral spread;
+// press decides how many players close down the ball (the nearest
+// `count`, plus anyone inside `radius`). "high" sends everyone, which is
+// how every side played before instructions existed.
+const TEAM_INSTRUCTIONS = Object.freeze({
+  line: { deep: 6, normal: 0, high: -7 },
+  width: { narrow: 0.78, normal: 1, wide: 1.2 },
+  press: {
+    low: { count: 1, radius: 7 },
+    medium: { count: 2, radius: 15 },
+    high: { count: Infinity, radius: Infinity },
+  },
+});
+const DEFAULT_TACTICS = Object.freeze({ line: "normal", width: "normal", press: "medium" });
+const LEGACY_TACTICS = Object.freeze({ line: "normal", width: "normal", press: "high" });
+
+const MATCH_ROSTER = [
+  { id: "p1-gk", team: "p1", role: "GK", number: "1", name: "Ederson", homeX: 0, homeZ: 50, isHuman: false, stats: { pace: 10.9, accel: 21, agility: 0.58, strength: 0.9, tackle: 0.66, control: 0.66 } },
+  { id: "p1-rb", team: "p1", role: "DEF", number: "2", name: "Walker", homeX: 26, homeZ: 34, isHuman: false, stats: { pace: 14.1, accel: 31, agility: 0.74, strength: 0.83, tackle: 0.86, control: 0.74 } },
+  { id: "p1-rcb", team: "p1", role: "DEF", number: "5", name: "Stones", homeX: 9, homeZ: 38, isHuman: false, stats: { pace: 12.7, accel: 27, agility: 0.68, strength: 0.88, tackle: 0.9, control: 0.72 } },
+  { id: "p1-lcb", team: "p1", role: "DEF", number: "3", name: "Dias", homeX: -9, homeZ: 38, isHuman: false, stats: { pace: 12.6, accel: 26, agility: 0.66, strength: 0.91, tackle: 0.92, control: 0.7 } },
+  { id: "p1-lb", team: "p1", role: "DEF", number: "24", name: "Gvardiol", homeX: -26, homeZ: 34, isHuman: false, stats: { pace: 13.6, accel: 29, agility: 0.74, strength: 0.86, tackle: 0.88, control: 0.74 } },
+  { id: "p1-dm", team: "p1", role: "MID", number: "16", name: "Rodri", homeX: 0, homeZ: 24, isHuman: false, stats: { pace: 13, accel: 28, agility: 0.74, strength: 0.84, tackle: 0.86, control: 0.88 } },
+  { id: "p1-rcm", team: "p1", role: "MID", number: "20", name: "Silva", homeX: 12, homeZ: 16, isHuman: false, stats: { pace: 14.1, accel: 32, agility: 0.86, strength: 0.7, tackle: 0.72, control: 0.92 } },
+  { id: "p1-lcm", team: "p1", role: "MID", number: "47", name: "Foden", homeX: -12, homeZ: 16, isHuman: false, stats: { pace: 14.7, accel: 34, agility: 0.9, strength: 0.68, tackle: 0.7, control: 0.93 } },
+  { id: "p1-rw", team: "p1", role: "FWD", number: "26", name: "Savinho", homeX: 24, homeZ: 3, isHuman: false, stats: { pace: 15.5, accel: 36, agility: 0.9, strength: 0.66, tackle: 0.62, control: 0.9 } },
+  { id: "p1-st", team: "p1", role: "FWD", number: "9", name: "Haaland", homeX: 0, homeZ: 0, isHuman: true, stats: { pace: 15.8, accel: 37, agility: 0.89, strength: 0.79, tackle: 0.64, control: 0.93 } },
+  { id: "p1-lw", team: "p1", role: "FWD", number: "11", name: "Doku", homeX: -24, homeZ: 3, isHuman: false, stats: { pace: 15.9, accel: 38, agility: 0.94, strength: 0.63, tackle: 0.6, control: 0.91 } },
+
+  { id: "cpu-gk", team: "cpu", role: "GK", number: "1", name: "Courtois", homeX: 0, homeZ: -50, isHuman: false, stats: { pace: 10.8, accel: 21, agility: 0.56, strength: 0.91, tackle: 0.66, control: 0.64 } },
+  { id: "cpu-rb", team: "cpu", role: "DEF", number: "2", name: "Carvajal", homeX: 26, homeZ: -34, isHuman: false, stats: { pace: 13.8, accel: 30, agility: 0.74, strength: 0.84, tackle: 0.88, control: 0.74 } },
+  { id: "cpu-rcb", team: "cpu", role: "DEF", number: "22", name: "Rudiger", homeX: 9, homeZ: -38, isHuman: false, stats: { pace: 12.9, accel: 27, agility: 0.67, strength: 0.92, tackle: 0.93, control: 0.71 } },
+  { id: "cpu-lcb", team: "cpu", role: "DEF", number: "4", name: "Alaba", homeX: -9, homeZ: -38, isHuman: false, stats: { pace: 12.7, accel: 27, agility: 0.69, strength: 0.86, tackle: 0.89, control: 0.74 } },
+  { id: "cpu-lb", team: "cpu", role: "DEF", number: "23", name: "Mendy", homeX: -26, homeZ: -34, isHuman: false, stats: { pace: 13.7, accel: 30, agility: 0.75, strength: 0.85, tackle: 0.86, control: 0.73 } },
+  { id: "cpu-dm", team: "cpu", role: "MID", number: "14", name: "Tchouameni", homeX: 0, homeZ: -24, isHuman: false, stats: { pace: 13.3, accel: 29, agility: 0.74, strength: 0.84, tackle: 0.86, control: 0.85 } },
+  { id: "cpu-rcm", team: "cpu", role: "MID", number: "15", name: "Valverde", homeX: 12, homeZ: -16, isHuman: false, stats: { pace: 14.7, accel: 34, agility: 0.84, strength: 0.77, tackle: 0.78, control: 0.88 } },
+  { id: "cpu-lcm", team: "cpu", role: "MID", number: "5", name: "Bellingham", homeX: -12, homeZ: -16, isHuman: false, stats: { pace: 14.5, accel: 33, agility: 0.86, strength: 0.79, tackle: 0.8, control: 0.9 } },
+  { id: "cpu-rw", team: "cpu", role: "FWD", number: "11", name: "Rodrygo", homeX: 24, homeZ: -3, isHuman: false, stats: { pace: 15.3, accel: 36, agility: 0.9, strength: 0.66, tackle: 0.62, control: 0.9 } },
+  { id: "cpu-st", team: "cpu", role: "FWD", number: "9", name: "Mbappe", homeX: 0, homeZ: 0, isHuman: false, stats: { pace: 16, accel: 38, agility: 0.93, strength: 0.72, tackle: 0.63, control: 0.92 } },
+  { id: "cpu-lw", team: "cpu", role: "FWD", number: "7", name: "Vinicius", homeX: -24, homeZ: -3, isHuman: false, stats: { pace: 15.9, accel: 38, agility: 0.94, strength: 0.65, tackle: 0.61, control: 0.92 } },
+];
+
+// "standard" stops play for throw-ins, corners and goal kicks; "cage" keeps
+// the original street rules where the ball bounces off every boundary.
+const RULESETS = Object.freeze({
+  STANDARD: "standard",
+  CAGE: "cage",
+});
+
+// "tactical" scores passes, shots and dribbles and sends supporting players
+// into space; "arcade" is the original chain of random checks with
+// everyone drifting around their formation anchor.
+const AI_PROFILES = Object.freeze({
+  TACTICAL: "tactical",
+  ARCADE: "arcade",
+});
+
+// Strength of the CPU opponents. Professional is neutral and is how every
+// match played before difficulty existed. think scales how quickly CPU
+// players recover between decisions, pace their running speed, steal is
+// added to their tackle odds, aim scales the error on their shots and
+// passes, keeper scales their keeper's reactions and dive reach, press
+// widens how many players close the ball down, and teamPress is the chance
+// per second that a CPU side calls a team press on a carrier in its half.
+const DIFFICULTY_LEVELS = Object.freeze({
+  amateur: { name: "Amateur", think: 0.6, pace: 0.9, steal: -0.12, aim: 2.2, keeper: 0.72, press: 0.6, teamPress: 0.03 },
+  "semi-pro": { name: "Semi-Pro", think: 0.8, pace: 0.95, steal: -0.06, aim: 1.5, keeper: 0.86, press: 0.8, teamPress: 0.06 },
+  professional: { name: "Professional", think: 1, pace: 1, steal: 0, aim: 1, keeper: 1, press: 1, teamPress: 0.1 },
+  "world-class": { name: "World Class", think: 1.2, pace: 1.04, steal: 0.05, aim: 0.75, keeper: 1.12, press: 1.3, teamPress: 0.16 },
+  legendary: { name: "Legendary", think: 1.45, pace: 1.08, steal: 0.1, aim: 0.5, keeper: 1.25, press: 1.6, teamPress: 0.24 },
+});
+const DEFAULT_DIFFICULTY = "professional";
+
+const ROLE_DEFAULT_STATS = Object.freeze({
+  GK: { pace: 11.2, accel: 22, agility: 0.55, strength: 0.9, tackle: 0.7, control: 0.62 },
+  DEF: { pace: 13.4, accel: 29, agility: 0.72, strength: 0.86, tackle: 0.9, control: 0.72 },
+  MID: { pace: 14.2, accel: 32, agility: 0.84, strength: 0.72, tackle: 0.76, control: 0.88 },
+  FWD: { pace: 15.1, accel: 35, agility: 0.9, strength: 0.74, tackle: 0.64, control: 0.9 },
+});
+
+// The squad editor keeps one entry per MATCH_ROSTER slot; ids, sides and
+// formation slots never change, and the first slot is always the keeper.
+// Stats are bounded to the range the engine was tuned for.
+const SQUAD_OUTFIELD_ROLES = ["DEF", "MID", "FWD"];
+const SQUAD_STAT_LIMITS = Object.freeze({
+  pace: { label: "Pace", min: 8, max: 18, step: 0.1 },
+  accel: { label: "Accel", min: 15, max: 42, step: 1 },
+  agility: { label: "Agility", min: 0.3, max: 1, step: 0.01 },
+  strength: { label: "Strength", min: 0.3, max: 1, step: 0.01 },
+  tackle: { label: "Tackle", min: 0.3, max: 1, step: 0.01 },
+  control: { label: "Control", min: 0.3, max: 1, step: 0.01 },
+});
+
+let mode = MODES.TITLE;
+
+let players = [];
+let sentOffPlayers = [];
+let ball = null;
+
+// Moments the page reacts to that aren't match events: a kick (with the
+// ball's speed off the foot) for the sound, each open-play step for the
+// rewind buffer, the end of a goal pause for the goal replay, and a
+// recording running out. Headless runs keep the no-ops. drawsStride asks
+// whether the WebGL renderer is up, for replays from before the stride
+// moved into the core.
+const simHooks = {
+  ballKicked() {},
+  stepped() {},
+  goalPauseEnded() {},
+  playbackFinished() {},
+  drawsStride() {
+    return false;
+  },
+};
+
+// Gameplay randomness runs through a seeded PRNG (mulberry32) so a seed plus
+// the same sequence of steps reproduces a match. Cosmetic randomness
+// (textures, squad card ratings, camera shake) stays on Math.random.
+function normalizeSeed(value) {
+  if (typeof value === "number" && Number.isFinite(value)) return Math.floor(Math.abs(value)) >>> 0;
+  const text = String(value == null ? "" : value).trim();
+  if (/^\d+$/.test(text)) return Number(text) >>> 0;
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+function createSeededRng(seed) {
+  let state = normalizeSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+let pinnedSeed = null;
+let simRng = createSeededRng(Date.now());
+// Draws taken from the stream since the last seeding, for state hashes.
+let simRandomDraws = 0;
+
+function simRandom() {
+  simRandomDraws += 1;
+  return simRng();
+}
+
+function seedSimulation(seed) {
+  gameState.seed = normalizeSeed(seed);
+  simRng = createSeededRng(gameState.seed);
+  simRandomDraws = 0;
+  return gameState.seed;
+}
+
+function nextMatchSeed() {
+  return pinnedSeed !== null ? pinnedSeed : Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+const matchSettings = {
+  ruleset: RULESETS.STANDARD,
+  offside: true,
+  aiProfile: AI_PROFILES.TACTICAL,
+  difficulty: DEFAULT_DIFFICULTY,
+  versus: false,
+  cpuOnly: false,
+  halves: 2,
+  stoppage: true,
+  extraTime: false,
+  legacyKickoffs: false,
+  legacyPressing: false,
+  legacyStride: false,
+  opponent: null,
+  squads: { p1: createDefaultSquad("p1"), cpu: createDefaultSquad("cpu") },
+  formations: { p1: DEFAULT_FORMATION, cpu: DEFAULT_FORMATION },
+  tactics: { p1: { ...DEFAULT_TACTICS }, cpu: { ...DEFAULT_TACTICS } },
+};
+
+const gameState = {
+  seed: 0,
+  restart: null,
+  offsides: { p1: 0, cpu: 0 },
+  fouls: { p1: 0, cpu: 0 },
+  cards: [],
+  goals: [],
+  stats: createMatchStats(),
+  saves: { p1: 0, cpu: 0 },
+  scores: { p1: 0, cpu: 0 },
+  clockRemaining: CFG.matchDurationSec,
+  matchTime: 0,
+  period: 0,
+  sidesSwapped: false,
+  kickoffTeam: "p1",
+  stoppageAccrued: 0,
+  addedTime: null,
+  shootout: null,
+  goalPause: 0,
+  kickoffDelay: 0,
+  kickoffAssigned: false,
+  switchCooldown: { p1: 0, cpu: 0 },
+  teamPressTimer: { p1: 0, cpu: 0 },
+  teamPressCooldown: { p1: 0, cpu: 0 },
+};
+
+function createInputState() {
+  return {
+    up: false,
+    down: false,
+    left: false,
+    right: false,
+    joyX: 0,
+    joyZ: 0,
+    sprint: false,
+    skill: false,
+    skillQueued: false,
+    dashQueued: false,
+    stealQueued: false,
+    switchQueued: false,
+    slideQueued: false,
+    teamPressQueued: false,
+    throughQueued: false,
+    queuedShot: null,
+    queuedPass: null,
+    isChargingShoot: false,
+    isChargingPass: false,
+    isShootButtonDown: false,
+    isPassButtonDown: false,
+    shootCharge: 0,
+    passCharge: 0,
+    // Pressure on an analog pad button scales how fast a held shot or
+    // pass charges; keys and touch always charge at full rate.
+    chargeRate: 1,
+  };
+}
+
+// City's controls, and the away side's in local versus.
+const inputState = createInputState();
+const awayInputState = createInputState();
+
+// Match recordings are the kickoff setup plus the inputState each
+// simulateStep consumed. Stepping the frames back through simulateStep from
+// the same setup reproduces the match. Identical consecutive frames are
+// stored once with a repeat count: [repeat, dt, flags, joyX, joyZ,
+// shootCharge, passCharge, queuedShot, queuedPass]. Local versus matches
+// append the same seven input fields for the away player.
+const REPLAY_FORMAT = "fc-street-replay";
+const REPLAY_VERSION = 1;
+const RECORDED_INPUT_FLAGS = [
+  "up",
+  "down",
+  "left",
+  "right",
+  "sprint",
+  "skill",
+  "skillQueued",
+  "dashQueued",
+  "stealQueued",
+  "switchQueued",
+  "slideQueued",
+  "teamPressQueued",
+  "throughQueued",
+  "isChargingShoot",
+  "isChargingPass",
+];
+
+let matchRecording = null;
+let replayPlayback = null;
+
+function captureMatchSetup() {
+  return {
+    seed: gameState.seed,
+    ruleset: matchSettings.ruleset,
+    offside: matchSettings.offside,
+    aiProfile: matchSettings.aiProfile,
+    difficulty: matchSettings.difficulty,
+    versus: matchSettings.versus,
+    ...(matchSettings.cpuOnly ? { cpuOnly: true } : {}),
+    formations: { ...matchSettings.formations },
+    tactics: { p1: { ...matchSettings.tactics.p1 }, cpu: { ...matchSettings.tactics.cpu } },
+    squads: JSON.parse(JSON.stringify(matchSettings.squads)),
+    ...(matchSettings.opponent ? { opponent: JSON.parse(JSON.stringify(matchSettings.opponent)) } : {}),
+    ...(matchSettings.legacyPressing ? {} : { cpuTeamPress: true }),
+    ...(matchSettings.legacyStride ? {} : { coreStride: true }),
+    // A legacy file taken over after playback keeps its old match format.
+    ...(matchSettings.legacyKickoffs ? {} : {
+      halves: matchSettings.halves,
+      stoppage: matchSettings.stoppage,
+      extraTime: matchSettings.extraTime,
+    }),
+  };
+}
+
+// Version 1 files recorded before rulesets existed were all played with
+// boundary bounces, so a missing ruleset means the cage. Files without
+// tactics were played in a 4-3-3 with everyone chasing the ball, files
+// without an AI profile by the arcade AI, and files without a difficulty
+// at Professional. Files without halves were one period with no added
+// time, and City's controlled player took every kickoff. Files without
+// squads used the stock players, with the first forward in control. Files
+// without cpuTeamPress had CPU sides that never called a team press and
+// pressed high with everyone whatever the difficulty. Files without
+// coreStride were recorded when only the WebGL renderer turned the stride
+// over, so they play back with it turning only under that renderer.
+function applyMatchSetup(setup) {
+  setRuleset(setup.ruleset || RULESETS.CAGE);
+  setOffsideRule(setup.offside === true);
+  setAiProfile(setup.aiProfile || AI_PROFILES.ARCADE);
+  setDifficulty(setup.difficulty || DEFAULT_DIFFICULTY);
+  setVersusMode(setup.versus === true);
+  setCpuOnly(setup.cpuOnly === true);
+  setHalves(setup.halves || 1);
+  setStoppageTime(setup.stoppage === true);
+  setExtraTime(setup.extraTime === true);
+  ["p1", "cpu"].forEach((team) => {
+    matchSettings.squads[team] = setup.squads
+      ? normalizeSquad(team, setup.squads[team])
+      : { ...createDefaultSquad(team), starter: null };
+  });
+  setOpponent(setup.opponent || null);
+  matchSettings.legacyKickoffs = setup.halves === undefined;
+  matchSettings.legacyPressing = setup.cpuTeamPress !== true;
+  matchSettings.legacyStride = setup.coreStride !== true;
+  ["p1", "cpu"].forEach((team) => {
+    setFormation(team, (setup.formations && setup.formations[team]) || DEFAULT_FORMATION);
+    const tactics = (setup.tactics && setup.tactics[team]) || LEGACY_TACTICS;
+    Object.keys(TEAM_INSTRUCTIONS).forEach((name) => setTeamInstruction(team, name, tactics[name] || LEGACY_TACTICS[name]));
+  });
+}
+
+function setRuleset(ruleset) {
+  matchSettings.ruleset = ruleset === RULESETS.CAGE ? RULESETS.CAGE : RULESETS.STANDARD;
+  return matchSettings.ruleset;
+}
+
+function setHalves(halves) {
+  matchSettings.halves = Number(halves) === 1 ? 1 : 2;
+  return matchSettings.halves;
+}
+
+function setStoppageTime(enabled) {
+  matchSettings.stoppage = !!enabled;
+  return matchSettings.stoppage;
+}
+
+function setExtraTime(enabled) {
+  matchSettings.extraTime = !!enabled;
+  return matchSettings.extraTime;
+}
+
+// A generated cup or season side ({ name, tag, rating, squad }) plays as
+// Away under its own names, with stats scaled by its rating. Null is the
+// usual Away roster.
+function setOpponent(opponent) {
+  matchSettings.opponent = opponent;
+  applySquads();
+  return matchSettings.opponent;
+}
+
+function getRosterIndex(spec) {
+  return MATCH_ROSTER.filter((entry) => entry.team === spec.team).findIndex((entry) => entry.id === spec.id);
+}
+
+// Squads are { starter, players: [{ number, name, role, stats }] } in
+// MATCH_ROSTER slot order. starter is the slot index the human takes at
+// kickoff resets; null keeps the older first-forward pick.
+function createDefaultSquad(team) {
+  const roster = MATCH_ROSTER.filter((spec) => spec.team === team);
+  return {
+    starter: roster.findIndex((spec) => spec.id === team + "-st"),
+    players: roster.map((spec) => ({
+      number: spec.number,
+      name: spec.name,
+      role: spec.role,
+      stats: { ...(ROLE_DEFAULT_STATS[spec.role] || ROLE_DEFAULT_STATS.FWD), ...(spec.stats || {}) },
+    })),
+  };
+}
+
+// Accepts an edited or imported squad and returns a complete one. Missing
+// or out-of-range fields fall back to the default player in that slot.
+function normalizeSquad(team, data) {
+  const defaults = createDefaultSquad(team);
+  if (!data || !Array.isArray(data.players) || data.players.length !== defaults.players.length) {
+    throw new Error("A squad needs exactly " + defaults.players.length + " players");
+  }
+  const players = defaults.players.map((fallback, index) => {
+    const entry = data.players[index] || {};
+    const name = typeof entry.name === "string" ? entry.name.trim().slice(0, 24) : "";
+    const number = String(entry.number === undefined ? "" : entry.number).replace(/\D/g, "").slice(0, 2);
+    const stats = {};
+    Object.keys(SQUAD_STAT_LIMITS).forEach((key) => {
+      const limit = SQUAD_STAT_LIMITS[key];
+      const value = parseFloat(entry.stats && entry.stats[key]);
+      stats[key] = Number.isFinite(value) ? Math.min(limit.max, Math.max(limit.min, value)) : fallback.stats[key];
+    });
+    return {
+      number: number || fallback.number,
+      name: name || fallback.name,
+      role: index === 0 ? "GK" : SQUAD_OUTFIELD_ROLES.includes(entry.role) ? entry.role : fallback.role,
+      stats,
+    };
+  });
+  const starter = Number.isInteger(data.starter) && data.starter > 0 && data.starter < players.length ? data.starter : null;
+  return { starter, players };
+}
+
+// The one source for who plays: spawnPlayers, the squad preview and the
+// squad editor all read these.
+function getRosterSpecs() {
+  return MATCH_ROSTER.map((spec) => {
+    const squad = matchSettings.squads[spec.team];
+    const index = getRosterIndex(spec);
+    const entry = squad.players[index];
+    return {
+      ...spec,
+      number: entry.number,
+      name: entry.name,
+      role: entry.role,
+      stats: { ...entry.stats },
+      isHuman: spec.team === "p1" && squad.starter === index,
+    };
+  });
+}
+
+// Copies names, numbers, roles and stats onto the spawned players. A cup
+// or season opponent keeps the stock Away stats, scaled by its rating.
+function applySquads() {
+  const opponent = matchSettings.opponent;
+  const specs = getRosterSpecs();
+  [...players, ...sentOffPlayers].forEach((player) => {
+    const spec = specs.find((entry) => entry.id === player.id);
+    if (!spec) return;
+    player.name = spec.name;
+    player.number = spec.number;
+    player.role = spec.role;
+    player.stats = spec.stats;
+    if (player.team !== "cpu" || !opponent) return;
+    const index = getRosterIndex(spec);
+    const base = MATCH_ROSTER.find((entry) => entry.id === spec.id);
+    const stats = { ...(ROLE_DEFAULT_STATS[base.role] || ROLE_DEFAULT_STATS.FWD), ...(base.stats || {}) };
+    const gap = opponent.rating - 1;
+    stats.pace *= 1 + gap * 0.5;
+    stats.accel *= 1 + gap * 0.5;
+    ["agility", "strength", "tackle", "control"].forEach((name) => {
+      stats[name] = clamp01(stats[name] * (1 + gap));
+    });
+    player.name = opponent.squad[index];
+    player.number = base.number;
+    player.role = base.role;
+    player.stats = stats;
+  });
+}
+
+function setAiProfile(profile) {
+  matchSettings.aiProfile = profile === AI_PROFILES.ARCADE ? AI_PROFILES.ARCADE : AI_PROFILES.TACTICAL;
+  return matchSettings.aiProfile;
+}
+
+function getHumanTeams() {
+  if (matchSettings.cpuOnly) return [];
+  return matchSettings.versus ? ["p1", "cpu"] : ["p1"];
+}
+
+function getSideInput(team) {
+  return team === "cpu" ? awayInputState : inputState;
+}
+
+// Local versus hands the away side to a second player on the same device.
+function setVersusMode(enabled) {
+  matchSettings.versus = !!enabled;
+  if (matchSettings.versus) {
+    setHumanPlayer(getDefaultHuman("cpu"));
+  } else {
+    players.forEach((player) => {
+      if (player.team === "cpu") player.isHuman = false;
+    });
+  }
+  return matchSettings.versus;
+}
+
+// CPU-only hands City's controlled player to the AI as well, so batch runs
+// play out with nobody waiting on input. It overrides versus while set.
+function setCpuOnly(enabled) {
+  const wasCpuOnly = matchSettings.cpuOnly;
+  matchSettings.cpuOnly = !!enabled;
+  if (matchSettings.cpuOnly) {
+    players.forEach((player) => {
+      player.isHuman = false;
+    });
+  } else if (wasCpuOnly) {
+    getHumanTeams().forEach((team) => setHumanPlayer(getDefaultHuman(team)));
+  }
+  return matchSettings.cpuOnly;
+}
+
+function setDifficulty(level) {
+  matchSettings.difficulty = DIFFICULTY_LEVELS[level] ? level : DEFAULT_DIFFICULTY;
+  return matchSettings.difficulty;
+}
+
+// Human-controlled players and City's CPU teammates always play at the
+// neutral level; only a CPU opposition scales, never a versus opponent.
+function getCpuDifficulty(player) {
+  if (player.team !== "cpu" || player.isHuman || matchSettings.versus) return DIFFICULTY_LEVELS[DEFAULT_DIFFICULTY];
+  return DIFFICULTY_LEVELS[matchSettings.difficulty];
+}
+
+// Extra aim error for CPU kicks below Professional. Nothing is drawn from
+// the seeded stream at neutral or higher levels.
+function applyCpuAimError(player, direction) {
+  const aim = getCpuDifficulty(player).aim;
+  if (aim <= 1) return direction;
+  return direction.applyAxisAngle(new THREE.Vector3(0, 1, 0), (simRandom() * 2 - 1) * (aim - 1) * 0.1);
+}
+
+function setFormation(team, key) {
+  if (team !== "p1" && team !== "cpu") return null;
+  matchSettings.formations[team] = FORMATIONS[key] ? key : DEFAULT_FORMATION;
+  applyFormationHomes(team);
+  return matchSettings.formations[team];
+}
+
+function setTeamInstruction(team, name, value) {
+  const options = TEAM_INSTRUCTIONS[name];
+  if ((team !== "p1" && team !== "cpu") || !options) return null;
+  matchSettings.tactics[team][name] = Object.prototype.hasOwnProperty.call(options, value) ? value : DEFAULT_TACTICS[name];
+  return matchSettings.tactics[team][name];
+}
+
+function getFormationSlot(spec) {
+  const slot = FORMATIONS[matchSettings.formations[spec.team]][getRosterIndex(spec)];
+  if (!slot) return { pos: spec.role, x: spec.homeX, z: spec.homeZ };
+  return { pos: slot.pos, x: slot.x, z: -teamAttackDir(spec.team) * slot.z };
+}
+
+// Kickoff homes only; tactical shifts are applied live in getTacticalAnchor.
+function applyFormationHomes(team) {
+  [...players, ...sentOffPlayers].forEach((player) => {
+    if (player.team !== team) return;
+    const slot = getFormationSlot(player);
+    player.homeX = slot.x;
+    player.homeZ = slot.z;
+    player.slotPos = slot.pos;
+  });
+}
+
+function setOffsideRule(enabled) {
+  matchSettings.offside = !!enabled;
+  return matchSettings.offside;
+}
+
+function encodeInputFrame(input) {
+  let flags = 0;
+  RECORDED_INPUT_FLAGS.forEach((name, bit) => {
+    if (input[name]) flags |= 1 << bit;
+  });
+  const shot = input.queuedShot ? [input.queuedShot.charge, input.queuedShot.type] : 0;
+  const pass = input.queuedPass ? [input.queuedPass.charge, input.queuedPass.type] : 0;
+  return [flags, input.joyX, input.joyZ, input.shootCharge, input.passCharge, shot, pass];
+}
+
+function decodeInputFrame(fields, input) {
+  const [flags, joyX, joyZ, shootCharge, passCharge, shot, pass] = fields;
+  RECORDED_INPUT_FLAGS.forEach((name, bit) => {
+    input[name] = (flags & (1 << bit)) !== 0;
+  });
+  input.joyX = joyX;
+  input.joyZ = joyZ;
+  input.shootCharge = shootCharge;
+  input.passCharge = passCharge;
+  input.queuedShot = shot ? { charge: shot[0], type: shot[1] } : null;
+  input.queuedPass = pass ? { charge: pass[0], type: pass[1] } : null;
+}
+
+function recordInputFrame(dt) {
+  if (!matchRecording) return;
+  const frame = [dt, ...encodeInputFrame(inputState)];
+  if (matchSettings.versus) frame.push(...encodeInputFrame(awayInputState));
+  const key = JSON.stringify(frame);
+  const frames = matchRecording.frames;
+  if (key === matchRecording.lastKey && frames.length) {
+    frames[frames.length - 1][0] += 1;
+  } else {
+    frames.push([1, ...frame]);
+    matchRecording.lastKey = key;
+  }
+}
+
+function nextReplayFrame() {
+  const run = replayPlayback.frames[replayPlayback.index];
+  if (!run) return null;
+  replayPlayback.used += 1;
+  if (replayPlayback.used >= run[0]) {
+    replayPlayback.index += 1;
+    replayPlayback.used = 0;
+  }
+  return run;
+}
+
+// Length of the next recorded step, so a fixed-tick loop can play a
+// recording back at the pace it was made.
+function peekReplayDt() {
+  const run = replayPlayback && replayPlayback.frames[replayPlayback.index];
+  return run ? run[1] : null;
+}
+
+function applyInputFrame(run) {
+  decodeInputFrame(run.slice(2, 9), inputState);
+  if (run.length > 9) decodeInputFrame(run.slice(9, 16), awayInputState);
+}
+
+// Fingerprint of the match state for lockstep play, where two copies of the
+// simulation must stay identical: positions and velocities bit for bit,
+// plus the clock, score and how far the seeded stream has run.
+const stateHashNumber = new Float64Array(1);
+const stateHashWords = new Uint32Array(stateHashNumber.buffer);
+
+function hashSimState() {
+  let hash = 2166136261;
+  const mix = (value) => {
+    stateHashNumber[0] = value;
+    stateHashWords.forEach((word) => {
+      hash = Math.imul(hash ^ word, 16777619);
+    });
+  };
+  [gameState.matchTime, gameState.clockRemaining, gameState.scores.p1, gameState.scores.cpu, simRandomDraws].forEach(mix);
+  [ball, ...players].forEach((object) => {
+    const { position } = object.body;
+    [position.x, position.y, position.z, object.velocity.x, object.velocity.y, object.velocity.z].forEach(mix);
+  });
+  return hash >>> 0;
+}
+
+function exportReplay() {
+  if (!matchRecording) return null;
+  return {
+    format: REPLAY_FORMAT,
+    version: REPLAY_VERSION,
+    setup: { ...matchRecording.setup },
+    steps: matchRecording.frames.reduce((sum, run) => sum + run[0], 0),
+    frames: matchRecording.frames.map((run) => run.slice()),
+  };
+}
+
+function parseReplay(data) {
+  const replay = typeof data === "string" ? JSON.parse(data) : data;
+  if (!replay || replay.format !== REPLAY_FORMAT) {
+    throw new Error("Not an FC Street replay file");
+  }
+  if (replay.version !== REPLAY_VERSION) {
+    throw new Error("Unsupported replay version " + replay.version);
+  }
+  if (!replay.setup || !Number.isFinite(replay.setup.seed) || !Array.isArray(replay.frames)) {
+    throw new Error("Replay file is missing its setup or frames");
+  }
+  const runLength = replay.setup.versus ? 16 : 9;
+  const validRun = (run) => Array.isArray(run) && run.length === runLength && run[0] >= 1 && run[1] > 0;
+  if (!replay.frames.every(validRun)) {
+    throw new Error("Replay file has malformed frames");
+  }
+  replay.steps = replay.frames.reduce((sum, run) => sum + run[0], 0);
+  return replay;
+}
+
+function formatClock(seconds) {
+  const safe = Math.max(0, Math.ceil(seconds));
+  const mm = Math.floor(safe / 60);
+  const ss = safe % 60;
+  return String(mm).padStart(2, "0") + ":" + String(ss).padStart(2, "0");
+}
+
+// Regulation splits CFG.matchDurationSec over the halves. Extra time is
+// two periods sharing CFG.extraTimeSec, played only from level scores.
+function getMatchPeriods() {
+  const halves = matchSettings.halves;
+  const periods = [];
+  for (let index = 0; index < halves; index += 1) {
+    periods.push({ key: halves === 1 ? "FT" : index === 0 ? "1H" : "2H", duration: CFG.matchDurationSec / halves, extra: false });
+  }
+  if (matchSettings.extraTime) {
+    periods.push({ key: "ET1", duration: CFG.extraTimeSec / 2, extra: true });
+    periods.push({ key: "ET2", duration: CFG.extraTimeSec / 2, extra: true });
+  }
+  return periods;
+}
+
+function getCurrentPeriod() {
+  return getMatchPeriods()[gameState.period] || getMatchPeriods()[0];
+}
+
+// Added time counts down behind a plus sign.
+function formatMatchClock() {
+  return (gameState.addedTime !== null ? "+" : "") + formatClock(gameState.clockRemaining);
+}
+
+function getHumanPlayer(team = "p1") {
+  return players.find((player) => player.isHuman && player.team === team);
+}
+
+function getDefaultHuman(team) {
+  const starter = matchSettings.squads[team].starter;
+  const roster = MATCH_ROSTER.filter((spec) => spec.team === team);
+  return (starter !== null && players.find((player) => player.id === roster[starter].id))
+    || players.find((player) => player.id === team + "-fwd")
+    || players.find((player) => player.team === team && player.role === "FWD")
+    || players.find((player) => player.team === team);
+}
+
+function setHumanPlayer(nextPlayer) {
+  if (!nextPlayer || !getHumanTeams().includes(nextPlayer.team)) return false;
+  players.forEach((player) => {
+    if (player.team === nextPlayer.team) player.isHuman = player === nextPlayer;
+  });
+  return true;
+}
+
+function getSwitchTarget(team = "p1") {
+  const human = getHumanPlayer(team);
+  if (!human) return null;
+  const teammates = players.filter((player) => player.team === human.team);
+  if (teammates.length <= 1) return null;
+
+  const inAttack = ball && ball.owner && ball.owner.team === human.team;
+  if (inAttack && ball.owner && ball.owner.team === human.team) {
+    if (ball.owner !== human) return ball.owner;
+    const options = teammates
+      .filter((player) => player !== human)
+      .sort((a, b) => (b.body.position.z - a.body.position.z) * teamAttackDir(team));
+    return options[0] || null;
+  }
+
+  const focus = ball && ball.owner ? ball.owner.body.position : ball ? ball.body.position : human.body.position;
+  const ranked = teammates
+    .filter((player) => player !== human)
+    .map((player) => ({
+      player,
+      distance: horizontalDistance(player.body.position, focus),
+      gkPenalty: player.role === "GK" ? 2.6 : 0,
+    }))
+    .sort((a, b) => (a.distance + a.gkPenalty) - (b.distance + b.gkPenalty));
+
+  return ranked.length ? ranked[0].player : null;
+}
+
+function performSwitchPlayer(reason = "manual", team = "p1") {
+  if (mode !== MODES.PLAYING || gameState.switchCooldown[team] > 0) return false;
+  const human = getHumanPlayer(team);
+  const target = getSwitchTarget(team);
+  if (!human || !target || target === human) return false;
+  if (!setHumanPlayer(target)) return false;
+  gameState.switchCooldown[team] = reason === "auto" ? 0.34 : 0.2;
+  emitMatchEvent("switch", { team, playerId: target.id, reason });
+  return true;
+}
+
+function maybeAutoSwitchDefender(team = "p1") {
+  if (mode !== MODES.PLAYING || gameState.switchCooldown[team] > 0) return;
+  if (!ball || !ball.owner || ball.owner.team === team) return;
+  const human = getHumanPlayer(team);
+  if (!human) return;
+  const target = getSwitchTarget(team);
+  if (!target || target === human) return;
+
+  const currentDistance = horizontalDistance(human.body.position, ball.owner.body.position);
+  const targetDistance = horizontalDistance(target.body.position, ball.owner.body.position);
+  if (targetDistance + 0.9 < currentDistance) {
+    performSwitchPlayer("auto", team);
+  }
+}
+
+function performTeamPress(player) {
+  if (!player || mode !== MODES.PLAYING) return false;
+  if (gameState.teamPressCooldown[player.team] > 0) return false;
+  if (!ball || !ball.owner || ball.owner.team === player.team) return false;
+
+  const candidates = players
+    .filter((candidate) => candidate.team === player.team && candidate !== player)
+    .map((candidate) => ({
+      candidate,
+      distance: horizontalDistance(candidate.body.position, ball.owner.body.position),
+      gkPenalty: candidate.role === "GK" ? 5.2 : 0,
+    }))
+    .sort((a, b) => (a.distance + a.gkPenalty) - (b.distance + b.gkPenalty));
+
+  const assist = candidates.length ? candidates[0].candidate : null;
+  if (!assist) return false;
+
+  players.forEach((candidate) => {
+    if (candidate.team === player.team) candidate.teamPressAssistTimer = 0;
+  });
+  assist.teamPressAssistTimer = CFG.teamPressDurationSec;
+  assist.thinkCooldown = Math.min(assist.thinkCooldown, 0.08);
+  gameState.teamPressTimer[player.team] = CFG.teamPressDurationSec;
+  gameState.teamPressCooldown[player.team] = CFG.teamPressCooldownSec;
+  emitMatchEvent("team-press", { team: player.team, playerId: player.id, assistId: assist.id });
+  return true;
+}
+
+// Sides with no one controlling them call the team press themselves, at
+// their difficulty's rate, when the carrier is in their half. The player
+// nearest the carrier calls it, so the assist doubles up on them as it does
+// for a human caller.
+function maybeCpuTeamPress(dt) {
+  if (matchSettings.legacyPressing || !ball.owner) return;
+  const team = otherTeam(ball.owner.team);
+  if (getHumanTeams().includes(team) || gameState.teamPressCooldown[team] > 0) return;
+  if (ball.owner.body.position.z * teamAttackDir(team) > 0) return;
+  let caller = null;
+  let best = Infinity;
+  players.forEach((candidate) => {
+    if (candidate.team !== team || candidate.role === "GK") return;
+    const distance = horizontalDistance(candidate.body.position, ball.owner.body.position);
+    if (distance < best) {
+      best = distance;
+      caller = candidate;
+    }
+  });
+  if (caller && simRandom() < getCpuDifficulty(caller).teamPress * dt) performTeamPress(caller);
+}
+
+function horizontalDistance(a, b) {
+  const dx = a.x - b.x;
+  const dz = a.z - b.z;
+  return Math.hypot(dx, dz);
+}
+
+function clamp01(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+function clampToPitch(player) {
+  player.body.position.x = Math.max(-CFG.fieldW / 2 - 1.5, Math.min(CFG.fieldW / 2 + 1.5, player.body.position.x));
+  player.body.position.z = Math.max(-CFG.fieldL / 2 - 2.2, Math.min(CFG.fieldL / 2 + 2.2, player.body.position.z));
+  player.body.position.y = 0;
+}
+
+function getFacingVector(player) {
+  const move = player.velocity.clone();
+  move.y = 0;
+  if (move.lengthSq() > 0.06) {
+    return move.normalize();
+  }
+  return new THREE.Vector3(0, 0, teamAttackDir(player.team));
+}
+
+function assignBallTo(player, options = {}) {
+  if (!player || !ball) return;
+  if (ball.offsideCheck && resolveOffside(player)) return;
+  ball.indirectFrom = null;
+  player.dribbleDir = null;
+  players.forEach((candidate) => {
+    candidate.hasBall = candidate === player;
+  });
+
+  const incomingSpeed = Number.isFinite(options.incomingSpeed)
+    ? options.incomingSpeed
+    : Math.hypot(ball.velocity.x, ball.velocity.z);
+  const facing = getFacingVector(player);
+  const side = new THREE.Vector3(-facing.z, 0, facing.x);
+  const control = clamp01(player.stats.control);
+  const rawTouch = Math.max(0, (incomingSpeed - 6) / 30) * (1 - control) * CFG.touchNoise;
+
+  if (rawTouch > 0.45) {
+    const bouncePower = rawTouch * 18;
+    const pushDir = facing.clone().add(side.clone().multiplyScalar((simRandom() - 0.5) * 1.5)).normalize();
+    player.controlChaos = 1;
+    player.cooldown = Math.max(player.cooldown, 0.35);
+    gameState.teamPressTimer[player.team] = 0;
+    
+    // The ball deflects off the player's foot
+    ball.owner = null;
+    ball.velocity.set(pushDir.x * bouncePower, 1.2 + rawTouch * 2, pushDir.z * bouncePower);
+    ball.body.position.set(player.body.position.x + facing.x * 0.5, 0.8, player.body.position.z + facing.z * 0.5);
+    ball.spinY = (simRandom() - 0.5) * 2;
+    ball.curl = ball.spinY;
+    return;
+  }
+
+  const sideJitter = (simRandom() * 2 - 1) * rawTouch * 0.75;
+  const frontJitter = rawTouch * 0.44;
+  const touchLen = (player.role === "GK" ? 0.92 : 1.02) + frontJitter;
+
+  recordBallControl(player);
+  ball.owner = player;
+  ball.lastTouchTeam = player.team;
+  ball.lastTouchId = player.id;
+  ball.spinY *= 0.45;
+  ball.curl = 0;
+  ball.body.position.set(
+    player.body.position.x + facing.x * touchLen + side.x * sideJitter,
+    player.role === "GK" ? 1.12 : 0.72,
+    player.body.position.z + facing.z * touchLen + side.z * sideJitter
+  );
+  ball.velocity.set(0, 0, 0);
+  player.controlChaos = Math.min(1, rawTouch * 0.9);
+  player.recentTouch = 0.22;
+  player.cooldown = Math.max(player.cooldown, 0.08);
+  gameState.teamPressTimer[player.team] = 0;
+}
+
+function releaseBall(player, horizontalVelocity, verticalVelocity, spin = 0) {
+  if (!ball || !player) return;
+  player.hasBall = false;
+  if (ball.owner === player) ball.owner = null;
+  ball.velocity.set(horizontalVelocity.x, verticalVelocity, horizontalVelocity.z);
+  ball.body.position.set(player.body.position.x, player.role === "GK" ? 1.18 : 0.82, player.body.position.z);
+  ball.lastTouchTeam = player.team;
+  ball.lastTouchId = player.id;
+  ball.spinY = spin;
+  ball.curl = spin * 0.6;
+  ball.pressure = clamp01(Math.hypot(horizontalVelocity.x, horizontalVelocity.z) / 40);
+  player.controlChaos = Math.min(1, player.controlChaos + 0.12);
+  simHooks.ballKicked(ball.velocity.length());
+}
+
+// 0 when no opponent can reach the line between from and to, 1 when one is
+// standing on it. Defenders further down the lane get more room because
+// they have longer to close while the ball travels.
+function getPassLaneRisk(from, to, team, ignore = null) {
+  const dx = to.x - from.x;
+  const dz = to.z - from.z;
+  const lengthSq = dx * dx + dz * dz;
+  if (lengthSq < 0.0001) return 0;
+  const length = Math.sqrt(lengthSq);
+  let risk = 0;
+  players.forEach((opponent) => {
+    if (opponent.team === team || opponent === ignore) return;
+    const ox = opponent.body.position.x - from.x;
+    const oz = opponent.body.position.z - from.z;
+    const t = (ox * dx + oz * dz) / lengthSq;
+    if (t <= 0.02 || t >= 1.05) return;
+    const offLine = Math.abs(ox * dz - oz * dx) / length;
+    const reach = 1.3 + t * length * 0.14;
+    risk = Math.max(risk, clamp01(1 - offLine / reach));
+  });
+  return risk;
+}
+
+function findPassTarget(player, forward = getFacingVector(player)) {
+  let best = null;
+  let bestScore = Number.POSITIVE_INFINITY;
+
+  players.forEach((candidate) => {
+    if (candidate === player || candidate.team !== player.team) return;
+    const to = candidate.body.position.clone().sub(player.body.position);
+    const distance = Math.hypot(to.x, to.z);
+    if (distance < 1) return;
+
+    to.y = 0;
+    const alignment = forward.dot(to.clone().normalize());
+    if (alignment < -0.3) return;
+
+    let score = distance - alignment * 4.6 + candidate.controlChaos * 2;
+    if (matchSettings.aiProfile !== AI_PROFILES.ARCADE) {
+      score += getPassLaneRisk(player.body.position, candidate.body.position, player.team) * 9;
+    }
+    if (score < bestScore) {
+      bestScore = score;
+      best = candidate;
+    }
+  });
+
+  return best;
+}
+
+function performDash(player) {
+  if (!player || mode !== MODES.PLAYING || player.dashCooldown > 0 || player.cooldown > 0.08) return;
+  const facing = getFacingVector(player);
+  
+  if (player.hasBall && ball && ball.owner === player) {
+    ball.owner = null;
+    player.hasBall = false;
+    const kickPower = 38 + player.stats.pace * 0.4;
+    ball.velocity.set(facing.x * kickPower, 1.2, facing.z * kickPower);
+    ball.spinY += (simRandom() * 2 - 1) * 0.8;
+  }
+
+  countStat(player.team, player.id, "dashes");
+  const burst = player.stats.pace * 0.88 + 8;
+  player.velocity.x += facing.x * burst;
+  player.velocity.z += facing.z * burst;
+  player.dashTimer = CFG.dashDurationSec;
+  player.dashCooldown = CFG.dashCooldownSec;
+  player.cooldown = Math.max(player.cooldown, 0.14);
+  player.controlChaos = Math.min(1, player.controlChaos + 0.04);
+  player.thinkCooldown = Math.max(player.thinkCooldown, 0.2);
+
+  if (!player.hasBall && ball && !ball.owner) {
+    const looseDistance = horizontalDistance(player.body.position, ball.body.position);
+    if (looseDistance < CFG.pickupRadius + 0.8) {
+      ball.velocity.x += facing.x * 6;
+      ball.velocity.z += facing.z * 6;
+    }
+  }
+
+  emitMatchEvent("dash", { team: player.team, playerId: player.id });
+}
+
+function performSkillMove(player, type = "shimmy") {
+  if (!player || mode !== MODES.PLAYING || !player.hasBall || player.skillCooldown > 0) return;
+  countStat(player.team, player.id, "skills");
+  player.skillType = type;
+  player.skillTimer = CFG.skillDurationSec;
+  player.skillCooldown = CFG.skillCooldownSec;
+  player.cooldown = Math.max(player.cooldown, 0.12);
+  player.controlChaos = Math.max(0, player.controlChaos - 0.2);
+  if (ball) {
+    ball.spinY += (simRandom() < 0.5 ? -1 : 1) * (0.85 + player.stats.control * 0.7);
+  }
+  emitMatchEvent("skill", { team: player.team, playerId: player.id, move: type });
+}
+
+function tryStealFrom(defender, target, options = {}) {
+  if (!defender || !target || !target.hasBall || !ball || isRestartTaker(target)) return false;
+  const toTarget = target.body.position.clone().sub(defender.body.position);
+  toTarget.y = 0;
+  const distance = toTarget.length();
+  const rangeBoost = Number.isFinite(options.rangeBoost) ? options.rangeBoost : 0;
+  if (distance > CFG.tackleRange + rangeBoost) return false;
+
+  const approach = toTarget.clone().normalize();
+  const defenderFacing = getFacingVector(defender);
+  const angleDot = defenderFacing.dot(approach);
+  const coneRelax = Number.isFinite(options.coneRelax) ? options.coneRelax : 0;
+  if (angleDot < CFG.stealConeDot - coneRelax) return false;
+
+  const relativeVel = defender.velocity.clone().sub(target.velocity);
+  const closingSpeed = Math.max(0, relativeVel.dot(approach));
+  const stealScore = defender.stats.tackle * 0.62 + defender.stats.strength * 0.24 + closingSpeed * 0.015 + (distance < 1.15 ? 0.12 : 0);
+  const protectScore = target.stats.control * 0.56 + target.stats.agility * 0.24 + target.stats.strength * 0.16 + target.controlChaos * 0.2;
+  const chanceBoost = (Number.isFinite(options.chanceBoost) ? options.chanceBoost : 0) + getCpuDifficulty(defender).steal;
+  const chance = clamp01(0.14 + stealScore - protectScore + chanceBoost);
+  const won = simRandom() < chance;
+
+  const foul = judgeChallenge(target, { won, closingSpeed, approach, slide: !!options.slide });
+  if (foul) {
+    awardFoul(defender, target, foul.card);
+    return false;
+  }
+
+  if (won) {
+    countStat(defender.team, defender.id, "tackles");
+    if (simRandom() < 0.65) {
+      assignBallTo(defender, { incomingSpeed: Math.hypot(ball.velocity.x, ball.velocity.z) + 4 });
+    } else {
+      const poke = approach.multiplyScalar(8 + defender.stats.tackle * 6);
+      releaseBall(target, poke, 1.3, (simRandom() * 2 - 1) * 1.3);
+      defender.cooldown = Math.max(defender.cooldown, 0.22);
+    }
+    target.controlChaos = Math.min(1, target.controlChaos + 0.2);
+    return true;
+  }
+
+  if (simRandom() < (options.forcePoke ? 0.44 : 0.28)) {
+    const poke = approach.multiplyScalar(options.forcePoke ? 8.8 : 6.5);
+    releaseBall(target, poke, 0.8, (simRandom() * 2 - 1) * 1.1);
+  }
+  target.controlChaos = Math.min(1, target.controlChaos + 0.14);
+  return false;
+}
+
+// A challenge turns into a foul when it comes from behind the carrier,
+// misses the ball, or arrives at speed; slides add to all three. The same
+// recklessness score decides whether the referee shows a card.
+function judgeChallenge(target, { won, closingSpeed, approach, slide }) {
+  const fromBehind = clamp01((getFacingVector(target).dot(approach) - 0.25) / 0.75);
+  const pace = clamp01(closingSpeed / 16);
+  const recklessness = fromBehind * 0.55 + pace * 0.35 + (won ? 0 : 0.25) + (slide ? 0.15 : 0);
+  if (simRandom() >= clamp01(recklessness - 0.32)) return null;
+  const cardRoll = simRandom();
+  let card = null;
+  if (recklessness > 0.95 && cardRoll < 0.3) {
+    card = "red";
+  } else if (recklessness > 0.6 && cardRoll < 0.5) {
+    card = "yellow";
+  }
+  return { card };
+}
+
+function isInPenaltyArea(position, defendingTeam) {
+  const lineSign = -teamAttackDir(defendingTeam);
+  return Math.abs(position.x) <= CFG.penaltyAreaWidth / 2
+    && position.z * lineSign >= CFG.fieldL / 2 - CFG.penaltyAreaDepth;
+}
+
+function awardFoul(offender, victim, card) {
+  gameState.fouls[offender.team] += 1;
+  const booking = card ? bookPlayer(offender, card) : null;
+  const options = { reason: "foul", offenderId: offender.id, card: booking, direct: true };
+  const penalty = isInPenaltyArea(victim.body.position, offender.team);
+  emitMatchEvent("foul", { team: offender.team, playerId: offender.id, victimId: victim.id, card: booking, penalty });
+  if (penalty) {
+    const lineSign = -teamAttackDir(offender.team);
+    awardRestart("penalty", victim.team, 0, lineSign * (CFG.fieldL / 2 - CFG.penaltySpotDist), options);
+    return;
+  }
+  const halfW = CFG.fieldW / 2 - 1;
+  const halfL = CFG.fieldL / 2 - 1;
+  awardRestart(
+    "free-kick",
+    victim.team,
+    Math.max(-halfW, Math.min(halfW, victim.body.position.x)),
+    Math.max(-halfL, Math.min(halfL, victim.body.position.z)),
+    options
+  );
+}
+
+// Two yellows make a red; a red takes the player out of `players` until
+// the next match restores the full roster.
+function bookPlayer(player, card) {
+  if (card === "yellow") player.yellowCards += 1;
+  addStoppage("card");
+  const shown = card === "red" || player.yellowCards >= 2 ? "red" : "yellow";
+  gameState.cards.push({
+    playerId: player.id,
+    name: player.name,
+    team: player.team,
+    card: shown,
+    secondYellow: card === "yellow" && shown === "red",
+    period: getCurrentPeriod().key,
+    clock: formatMatchClock(),
+  });
+  if (shown === "red") sendOff(player);
+  return shown;
+}
+
+function sendOff(player) {
+  players = players.filter((candidate) => candidate !== player);
+  sentOffPlayers.push(player);
+  if (ball && ball.owner === player) ball.owner = null;
+  player.hasBall = false;
+  if (player.isHuman) {
+    player.isHuman = false;
+    const teammates = players.filter((candidate) => candidate.team === player.team && candidate.role !== "GK");
+    const next = teammates.reduce((best, candidate) => (
+      !best || horizontalDistance(candidate.body.position, ball.body.position) < horizontalDistance(best.body.position, ball.body.position) ? candidate : best
+    ), null);
+    setHumanPlayer(next);
+  }
+}
+
+function restoreSentOffPlayers() {
+  if (!sentOffPlayers.length) return;
+  const order = (player) => MATCH_ROSTER.findIndex((spec) => spec.id === player.id);
+  players = [...players, ...sentOffPlayers].sort((a, b) => order(a) - order(b));
+  sentOffPlayers = [];
+}
+
+function performSteal(player) {
+  if (!player || mode !== MODES.PLAYING || player.stealCooldown > 0) return;
+  player.stealTimer = CFG.stealCooldownSec;
+  player.stealCooldown = CFG.stealCooldownSec;
+  player.cooldown = Math.max(player.cooldown, 0.18);
+
+  const opponents = players
+    .filter((candidate) => candidate.team !== player.team)
+    .map((candidate) => ({
+      candidate,
+      distance: horizontalDistance(candidate.body.position, player.body.position),
+    }))
+    .sort((a, b) => a.distance - b.distance);
+
+  const ballCarrier = opponents.find((item) => item.candidate.hasBall);
+  let won = false;
+  if (ballCarrier) {
+    won = tryStealFrom(player, ballCarrier.candidate);
+  } else if (ball && !ball.owner) {
+    const looseDist = horizontalDistance(player.body.position, ball.body.position);
+    if (looseDist < CFG.pickupRadius + 0.6) {
+      assignBallTo(player, { incomingSpeed: Math.hypot(ball.velocity.x, ball.velocity.z) });
+      won = true;
+    }
+  }
+
+  if (!won && ballCarrier) {
+    const toward = ballCarrier.candidate.body.position.clone().sub(player.body.position).normalize();
+    player.velocity.x += toward.x * 4.2;
+    player.velocity.z += toward.z * 4.2;
+  }
+  emitMatchEvent("tackle", {
+    team: player.team,
+    playerId: player.id,
+    targetId: ballCarrier ? ballCarrier.candidate.id : null,
+    distance: ballCarrier ? Math.round(ballCarrier.distance * 10) / 10 : null,
+    won,
+    slide: false,
+  });
+}
+
+function performSlideTackle(player) {
+  if (!player || mode !== MODES.PLAYING || player.slideCooldown > 0 || player.cooldown > 0.2) return false;
+  countStat(player.team, player.id, "slides");
+  player.slideTimer = CFG.slideDurationSec;
+  player.slideCooldown = CFG.slideCooldownSec;
+  player.cooldown = Math.max(player.cooldown, 0.28);
+
+  const carrier = ball && ball.owner && ball.owner.team !== player.team ? ball.owner : null;
+  const facing = carrier
+    ? carrier.body.position.clone().sub(player.body.position).setY(0).normalize()
+    : getFacingVector(player);
+  if (Number.isFinite(facing.x) && Number.isFinite(facing.z)) {
+    player.velocity.x += facing.x * (player.stats.pace * 0.86 + 8.4);
+    player.velocity.z += facing.z * (player.stats.pace * 0.86 + 8.4);
+  }
+
+  let won = false;
+  if (carrier) {
+    won = tryStealFrom(player, carrier, {
+      chanceBoost: 0.15,
+      rangeBoost: 0.62,
+      coneRelax: 0.24,
+      forcePoke: true,
+      slide: true,
+    });
+  } else if (ball && !ball.owner) {
+    const looseDist = horizontalDistance(player.body.position, ball.body.position);
+    if (looseDist < CFG.pickupRadius + 1.1) {
+      assignBallTo(player, { incomingSpeed: Math.hypot(ball.velocity.x, ball.velocity.z) + 4 });
+      won = true;
+    }
+  }
+
+  if (!won && carrier) {
+    player.velocity.x *= 0.62;
+    player.velocity.z *= 0.62;
+  }
+
+  emitMatchEvent("tackle", { team: player.team, playerId: player.id, targetId: carrier ? carrier.id : null, won, slide: true });
+  return won;
+}
+
+function performShoot(player, charge = 0.5, type = "standard", aim = null) {
+  if (!player || mode !== MODES.PLAYING || player.cooldown > 0) return;
+
+  if (!player.hasBall) {
+    if (player.isHuman) {
+      performDash(player);
+    }
+    return;
+  }
+
+  const facing = getFacingVector(player);
+  const goalDirection = new THREE.Vector3(-player.body.position.x * 0.08, 0, teamAttackDir(player.team)).normalize();
+  const shotDirection = aim
+    ? aim.clone().setY(0).normalize()
+    : applyCpuAimError(player, facing.clone().lerp(goalDirection, player.isHuman ? 0.38 : 0.58).normalize());
+  let sideSpin = (player.velocity.x * shotDirection.z - player.velocity.z * shotDirection.x) * 0.045;
+
+  let powerMultiplier = 0.5 + charge;
+  let speed = (player.role === "GK" ? 44 : 36 + player.stats.control * 2.2) * powerMultiplier;
+  let lift = (player.role === "GK" ? 12.2 : 5.2 + player.stats.control * 0.8 + charge * 8.0);
+
+  if (type === "finesse") {
+    speed *= 0.72;
+    lift *= 0.6;
+    sideSpin += (shotDirection.x < 0 ? 0.8 : -0.8); // Add huge curl
+  } else if (type === "power") {
+    speed *= 1.45;
+    lift *= 0.85;
+  } else if (type === "chip") {
+    speed *= 0.55;
+    lift *= 3.8;
+  }
+
+  releaseBall(player, shotDirection.multiplyScalar(speed), lift, sideSpin);
+  recordShot(player);
+  player.cooldown = 0.42;
+  player.thinkCooldown = 0.75;
+  emitShotEvent(player, type, charge, null);
+}
+
+function performPass(player, charge = 0.5, type = "standard", target = null) {
+  if (!player || mode !== MODES.PLAYING || !player.hasBall || player.cooldown > 0) return;
+
+  if (!target) target = findPassTarget(player);
+  let passDirection = getFacingVector(player);
+  if (target) {
+    passDirection = target.body.position.clone().sub(player.body.position);
+    passDirection.y = 0;
+    if (passDirection.lengthSq() > 0.1) {
+      passDirection.normalize();
+    } else {
+      passDirection = getFacingVector(player);
+    }
+  }
+
+  const powerMultiplier = 0.6 + charge * 0.8;
+  const side = new THREE.Vector3(-passDirection.z, 0, passDirection.x);
+  const spin = side.dot(player.velocity) * 0.035;
+  let speed = (player.role === "GK" ? 31 : 24 + player.stats.control * 2.4) * powerMultiplier;
+  let lift = (player.role === "GK" ? 5.2 : 1.2 + charge * 5.0 + (target ? 0.45 : 0.2));
+
+  if (type === "driven") {
+    speed *= 1.55;
+    lift = 0.1;
+  } else if (type === "lob") {
+    speed *= 1.15;
+    lift *= 3.1;
+  }
+
+  releaseBall(player, applyCpuAimError(player, passDirection).multiplyScalar(speed), lift, spin);
+  recordPass(player);
+  checkOffsideAtRelease(player, target);
+
+  player.cooldown = 0.34;
+  player.thinkCooldown = 0.62;
+  emitPassEvent(player, target, type, charge, null);
+}
+
+function performThroughPass(player, target = null) {
+  if (!player || mode !== MODES.PLAYING || player.cooldown > 0) return;
+  if (!player.hasBall) {
+    performSwitchPlayer("manual");
+    return;
+  }
+
+  if (!target) target = findPassTarget(player);
+  let passDirection = getFacingVector(player);
+  if (target) {
+    const lead = target.velocity.clone();
+    lead.y = 0;
+    if (lead.lengthSq() < 0.08) {
+      lead.copy(getFacingVector(target)).multiplyScalar(3 + target.stats.pace * 0.22);
+    } else {
+      lead.multiplyScalar(0.38);
+    }
+    const projectedTarget = target.body.position.clone().add(lead);
+    passDirection = projectedTarget.sub(player.body.position);
+    passDirection.y = 0;
+    if (passDirection.lengthSq() > 0.09) {
+      passDirection.normalize();
+    } else {
+      passDirection = getFacingVector(player);
+    }
+  }
+
+  const side = new THREE.Vector3(-passDirection.z, 0, passDirection.x);
+  const spin = side.dot(player.velocity) * 0.018 + (simRandom() * 2 - 1) * 0.12;
+  const speed = player.role === "GK" ? 36 : 30 + player.stats.control * 2.8;
+  const lift = player.role === "GK" ? 7.2 : 3.1 + (target ? 0.55 : 0.25);
+  releaseBall(player, applyCpuAimError(player, passDirection).multiplyScalar(speed), lift, spin);
+  recordPass(player);
+  checkOffsideAtRelease(player, target);
+
+  player.cooldown = 0.38;
+  player.thinkCooldown = 0.66;
+  emitPassEvent(player, target, "through", 1, null);
+}
+
+// Offside is judged when the pass leaves the passer's foot: the intended
+// receiver is offside if they are in the opposition half and beyond both
+// the ball and the second-last defender. It is only flagged if that
+// receiver is the next player to take the ball.
+// Depth along the attacking team's direction beyond which a receiver is
+// offside: the second-last defender, the ball, or the halfway line.
+function getOffsideLineDepth(attackingTeam, ballDepth) {
+  const dir = teamAttackDir(attackingTeam);
+  const defenderDepths = players
+    .filter((player) => player.team !== attackingTeam)
+    .map((player) => player.body.position.z * dir)
+    .sort((a, b) => b - a);
+  const secondLast = defenderDepths.length > 1 ? defenderDepths[1] : -Infinity;
+  return Math.max(secondLast, ballDepth, 0);
+}
+
+function checkOffsideAtRelease(passer, receiver) {
+  ball.offsideCheck = null;
+  if (!matchSettings.offside || !receiver || mode !== MODES.PLAYING) return;
+  const dir = teamAttackDir(passer.team);
+  const lineDepth = getOffsideLineDepth(passer.team, passer.body.position.z * dir);
+  if (receiver.body.position.z * dir <= lineDepth + 0.15) return;
+  ball.offsideCheck = {
+    team: passer.team,
+    receiverId: receiver.id,
+    lineZ: lineDepth * dir,
+    x: receiver.body.position.x,
+    z: receiver.body.position.z,
+  };
+}
+
+function resolveOffside(player) {
+  const check = ball.offsideCheck;
+  ball.offsideCheck = null;
+  if (player.id !== check.receiverId) return false;
+  gameState.offsides[check.team] += 1;
+  emitMatchEvent("offside", { team: check.team, playerId: check.receiverId, lineZ: check.lineZ });
+  const halfW = CFG.fieldW / 2 - 1;
+  const halfL = CFG.fieldL / 2 - 1;
+  awardRestart(
+    "free-kick",
+    otherTeam(check.team),
+    Math.max(-halfW, Math.min(halfW, check.x)),
+    Math.max(-halfL, Math.min(halfL, check.z)),
+    { reason: "offside", offenderId: check.receiverId, direct: false }
+  );
+  return true;
+}
+
+function maybeCpuAction(player) {
+  if (player.isHuman || player.thinkCooldown > 0 || isRestartTaker(player)) return;
+  if (matchSettings.aiProfile === AI_PROFILES.TACTICAL) {
+    if (maybeCpuDefend(player)) return;
+    if (player.hasBall) chooseCpuAttack(player);
+    return;
+  }
+
+  if (maybeCpuDefend(player)) return;
+
+  if (!player.hasBall) return;
+
+  const attackingZ = teamAttackDir(player.team) * CFG.fieldL / 2;
+  const distanceToGoal = Math.abs(attackingZ - player.body.position.z);
+  const nearbyPressure = players.some((candidate) => {
+    if (candidate.team === player.team) return false;
+    return horizontalDistance(candidate.body.position, player.body.position) < 2.3;
+  });
+
+  if (distanceToGoal < 22) {
+    performShoot(player);
+  } else if (nearbyPressure && player.skillCooldown <= 0 && simRandom() < 0.28) {
+    performSkillMove(player);
+  } else if (nearbyPressure && player.dashCooldown <= 0 && simRandom() < 0.34) {
+    performDash(player);
+  } else if (distanceToGoal < 40 && simRandom() < 0.24) {
+    performPass(player);
+  }
+}
+
+// Tackles, closing dashes and slides against an opposing carrier; shared
+// by both AI profiles. Returns true when the player acted.
+function maybeCpuDefend(player) {
+  const enemyCarrier = ball && ball.owner && ball.owner.team !== player.team ? ball.owner : null;
+  if (!player.hasBall && enemyCarrier) {
+    const distance = horizontalDistance(player.body.position, enemyCarrier.body.position);
+    const assistPressing = player.teamPressAssistTimer > 0;
+    if (distance < CFG.tackleRange * (assistPressing ? 1.42 : 1.16)
+      && player.stealCooldown <= 0
+      && simRandom() < (assistPressing ? 0.82 : 0.46)) {
+      performSteal(player);
+      player.thinkCooldown = assistPressing ? 0.16 : 0.25;
+      return true;
+    }
+    if (distance > 6.2 && distance < 16 && player.dashCooldown <= 0 && simRandom() < (assistPressing ? 0.2 : 0.08)) {
+      performDash(player);
+      player.thinkCooldown = assistPressing ? 0.24 : 0.34;
+      return true;
+    }
+    if (assistPressing && distance < CFG.tackleRange * 1.84 && player.slideCooldown <= 0 && simRandom() < 0.26) {
+      performSlideTackle(player);
+      player.thinkCooldown = 0.24;
+      return true;
+    }
+  }
+  return false;
+}
+
+function nearestOpponentDistance(position, team) {
+  return players.reduce((best, candidate) => (
+    candidate.team === team ? best : Math.min(best, horizontalDistance(candidate.body.position, position))
+  ), Infinity);
+}
+
+// Shot value from the angle the posts subtend, distance, and how much of
+// the lane to the far corner (away from the keeper) is covered.
+function evaluateCpuShot(player) {
+  const pos = player.body.position;
+  const goalZ = teamAttackDir(player.team) * CFG.fieldL / 2;
+  const depth = Math.max(0.5, Math.abs(goalZ - pos.z));
+  const halfGoal = CFG.goalWidth / 2;
+  const angle = Math.abs(Math.atan2(halfGoal - pos.x, depth) - Math.atan2(-halfGoal - pos.x, depth));
+  const distance = Math.hypot(pos.x, goalZ - pos.z);
+  const keeper = players.find((candidate) => candidate.team !== player.team && candidate.role === "GK");
+  const placement = (halfGoal - 2.2) * (0.3 + player.stats.control * 0.35);
+  const aimX = keeper && keeper.body.position.x > 0 ? -placement : placement;
+  const corner = new THREE.Vector3(aimX, 0, goalZ);
+  const blocked = getPassLaneRisk(pos, corner, player.team, keeper);
+  const keeperOff = keeper ? Math.abs(goalZ - keeper.body.position.z) : 0;
+  return {
+    score: clamp01(angle / 0.45) * clamp01((34 - distance) / 22) * (1 - blocked * 0.7) * 1.1,
+    aim: corner.sub(pos).setY(0).normalize()
+      .applyAxisAngle(new THREE.Vector3(0, 1, 0), (simRandom() - 0.5) * (1.1 - player.stats.control) * 0.6 * getCpuDifficulty(player).aim),
+    distance,
+    chip: keeperOff > 6 && distance > 18,
+  };
+}
+
+function evaluateCpuPasses(player) {
+  const dir = teamAttackDir(player.team);
+  const pos = player.body.position;
+  const depth = pos.z * dir;
+  const lineDepth = getOffsideLineDepth(player.team, depth);
+  const options = [];
+  players.forEach((mate) => {
+    if (mate === player || mate.team !== player.team || mate.role === "GK") return;
+    const onside = !matchSettings.offside || mate.body.position.z * dir <= lineDepth + 0.15;
+    if (!onside) return;
+    const rate = (spot, through) => {
+      const length = horizontalDistance(pos, spot);
+      if (length < 4 || length > 34) return;
+      const progress = (spot.z * dir - depth) / 25;
+      const space = clamp01(nearestOpponentDistance(spot, player.team) / 8);
+      const risk = getPassLaneRisk(pos, spot, player.team);
+      const score = 0.25 + progress * 0.55 + space * 0.3 - risk * 0.85
+        - Math.max(0, length - 24) * 0.02 - (through ? 0.1 : 0);
+      options.push({ kind: through ? "through" : "pass", target: mate, score, length, risk });
+    };
+    rate(mate.body.position, false);
+    if (mate.velocity.z * dir > 4) {
+      rate(mate.body.position.clone().add(mate.velocity.clone().setY(0).multiplyScalar(0.38)), true);
+    }
+  });
+  return options;
+}
+
+// Space ahead along three headings towards goal, for carrying the ball.
+function evaluateCpuDribble(player) {
+  const dir = teamAttackDir(player.team);
+  const pos = player.body.position;
+  const base = new THREE.Vector3(-pos.x * 0.02, 0, dir).normalize();
+  let best = null;
+  [0, 0.6, -0.6].forEach((turn) => {
+    const heading = base.clone().applyAxisAngle(new THREE.Vector3(0, 1, 0), turn);
+    let room = 10;
+    players.forEach((opponent) => {
+      if (opponent.team === player.team) return;
+      const to = opponent.body.position.clone().sub(pos).setY(0);
+      const distance = to.length();
+      if (distance > 0.01 && heading.dot(to.divideScalar(distance)) > 0.5) room = Math.min(room, distance);
+    });
+    const score = 0.2 + (room / 10) * 0.45 - Math.abs(turn) * 0.05;
+    if (!best || score > best.score) best = { heading, room, score };
+  });
+  return best;
+}
+
+function chooseCpuAttack(player) {
+  if (player.cooldown > 0) return;
+  const shot = evaluateCpuShot(player);
+  const dribble = evaluateCpuDribble(player);
+  const pressured = nearestOpponentDistance(player.body.position, player.team) < 2.6;
+  const options = [
+    { kind: "shoot", score: shot.score },
+    { kind: "dribble", score: dribble.score - (pressured ? 0.2 : 0) },
+    ...evaluateCpuPasses(player),
+  ];
+  if (pressured && player.skillCooldown <= 0) {
+    options.push({ kind: "skill", score: 0.32 + player.stats.agility * 0.2 });
+  }
+  if (!pressured && dribble.room >= 9.5 && player.dashCooldown <= 0) {
+    options.push({ kind: "dash", score: 0.5 });
+  }
+
+  let choice = null;
+  options.forEach((option) => {
+    const score = option.score + simRandom() * 0.08;
+    if (!choice || score > choice.total) choice = { ...option, total: score };
+  });
+
+  player.dribbleDir = dribble.heading;
+  if (choice.kind === "shoot") {
+    performShoot(player, Math.min(0.75, 0.2 + shot.distance / 60), shot.chip ? "chip" : "standard", shot.aim);
+  } else if (choice.kind === "pass") {
+    performPass(player, Math.min(0.9, Math.max(0.25, choice.length / 36)), choice.risk > 0.45 ? "lob" : "standard", choice.target);
+  } else if (choice.kind === "through") {
+    performThroughPass(player, choice.target);
+  } else if (choice.kind === "skill") {
+    performSkillMove(player);
+  } else if (choice.kind === "dash") {
+    performDash(player);
+  } else {
+    player.thinkCooldown = 0.2;
+  }
+}
+
+// Supporting players re-pick a spot every second or so: forwards run into
+// space ahead of the ball while staying onside, midfielders offer an open
+// angle around the carrier, defenders hold the tactical anchor.
+function getSupportSpot(player) {
+  if (player.supportSpot && player.supportTimer > 0) return player.supportSpot;
+  player.supportTimer = 0.7 + simRandom() * 0.5;
+  const anchor = getTacticalAnchor(player);
+  const carrier = ball.owner;
+  if (player.role === "DEF" || !carrier) {
+    player.supportSpot = anchor;
+    return anchor;
+  }
+
+  const dir = teamAttackDir(player.team);
+  const carrierPos = carrier.body.position;
+  const carrierDepth = carrierPos.z * dir;
+  const lineDepth = getOffsideLineDepth(player.team, carrierDepth);
+  const candidates = [anchor];
+  if (player.role === "FWD") {
+    [anchor.x, anchor.x - 7, anchor.x + 7].forEach((x) => {
+      [6, 12, 18].forEach((ahead) => {
+        let depth = carrierDepth + ahead;
+        if (matchSettings.offside) depth = Math.min(depth, lineDepth - 0.6);
+        candidates.push(new THREE.Vector3(x, 0, depth * dir));
+      });
+    });
+  } else {
+    const forward = new THREE.Vector3(0, 0, dir);
+    [-1.2, -0.6, 0, 0.6, 1.2].forEach((turn) => {
+      candidates.push(carrierPos.clone().add(forward.clone().applyAxisAngle(new THREE.Vector3(0, 1, 0), turn).multiplyScalar(11)));
+    });
+  }
+
+  const halfW = CFG.fieldW / 2 - 2;
+  const halfL = CFG.fieldL / 2 - 3;
+  let best = anchor;
+  let bestScore = -Infinity;
+  candidates.forEach((spot) => {
+    spot.x = Math.max(-halfW, Math.min(halfW, spot.x));
+    spot.z = Math.max(-halfL, Math.min(halfL, spot.z));
+    const crowd = players.filter((mate) => mate !== player && mate.team === player.team
+      && horizontalDistance(mate.body.position, spot) < 6).length;
+    const score = clamp01(nearestOpponentDistance(spot, player.team) / 10) * 0.5
+      + (1 - getPassLaneRisk(carrierPos, spot, player.team)) * 0.4
+      + ((spot.z * dir - carrierDepth) / 20) * 0.3
+      - horizontalDistance(player.body.position, spot) / 40
+      - horizontalDistance(anchor, spot) / 60
+      - crowd * 0.2;
+    if (score > bestScore) {
+      bestScore = score;
+      best = spot;
+    }
+  });
+  player.supportSpot = best;
+  return best;
+}
+
+function getHumanMoveInput(input = inputState) {
+  const keyX = (input.right ? 1 : 0) - (input.left ? 1 : 0);
+  const keyZ = (input.down ? 1 : 0) - (input.up ? 1 : 0);
+
+  let x = keyX + input.joyX;
+  let z = keyZ + input.joyZ;
+  const mag = Math.hypot(x, z);
+  if (mag > 1) {
+    x /= mag;
+    z /= mag;
+  }
+
+  return { x, z };
+}
+
+// Where a loose ball heading for this keeper's goal will cross the line,
+// ignoring drag and bounces. Null when it is not a shot worth reading.
+function projectShotOnGoal(keeper) {
+  if (ball.owner) return null;
+  const lineZ = -teamAttackDir(keeper.team) * CFG.fieldL / 2;
+  const vz = ball.velocity.z;
+  if (Math.sign(vz) !== Math.sign(lineZ) || Math.abs(vz) < CFG.gkShotMinSpeed) return null;
+  const time = (lineZ - ball.body.position.z) / vz;
+  if (time <= 0 || time > 1.4) return null;
+  const x = ball.body.position.x + ball.velocity.x * time;
+  const y = Math.max(0.72, ball.body.position.y + ball.velocity.y * time - 0.5 * CFG.gravity * time * time);
+  if (Math.abs(x) > CFG.goalWidth / 2 + 1.5 || y > CFG.goalHeight + 1) return null;
+  return { time, x, y, speed: Math.hypot(ball.velocity.x, vz) };
+}
+
+function clearKeeperState(player) {
+  player.gkRead = null;
+  player.gkDive = null;
+  player.gkPose = null;
+  player.gkPoseTimer = 0;
+}
+
+// Keepers read a shot after a reaction delay, with an error that grows
+// with shot speed, then either shuffle across or commit to a dive. Returns
+// true while the dive owns the keeper's movement.
+function updateKeeper(player, dt) {
+  const dive = player.gkDive;
+  if (dive) {
+    dive.timer += dt;
+    if (dive.timer < dive.duration) {
+      player.velocity.set(dive.dirX * dive.speed, 0, dive.dirZ * 1.5);
+      return true;
+    }
+    if (dive.timer < dive.duration + CFG.gkRecoverSec) {
+      player.velocity.multiplyScalar(Math.max(0, 1 - dt * 9));
+      player.gkPose = "down";
+      player.gkPoseTimer = Math.max(player.gkPoseTimer, 0.1);
+      return true;
+    }
+    player.gkDive = null;
+    player.gkRead = null;
+    player.gkPose = null;
+  }
+
+  const shot = gameState.restart ? null : projectShotOnGoal(player);
+  if (!shot) {
+    player.gkRead = null;
+    return false;
+  }
+
+  const agility = clamp01(player.stats.agility);
+  const ability = getCpuDifficulty(player).keeper;
+  if (!player.gkRead) {
+    const spread = (0.35 + shot.speed * 0.03) * (1.3 - agility) / ability;
+    player.gkRead = {
+      react: (CFG.gkReactSec * (1.6 - agility) + shot.speed * 0.002 + simRandom() * 0.06) / ability,
+      errorX: (simRandom() * 2 - 1) * spread,
+      errorY: (simRandom() * 2 - 1) * spread * 0.5,
+      x: shot.x,
+      y: shot.y,
+      time: shot.time,
+      tried: false,
+    };
+  }
+  const read = player.gkRead;
+  read.time = shot.time;
+  if (read.react > 0) {
+    read.react = Math.max(0, read.react - dt);
+    return false;
+  }
+  read.x = shot.x + read.errorX;
+  read.y = shot.y + read.errorY;
+  player.gkPose = "set";
+  player.gkPoseTimer = Math.max(player.gkPoseTimer, 0.1);
+
+  const gap = read.x - player.body.position.x;
+  if (Math.abs(gap) > 1.1 && read.time < 0.55) {
+    const speed = (CFG.gkDiveSpeed + agility * 5) * ability;
+    player.gkDive = {
+      timer: 0,
+      duration: Math.min(0.6, Math.max(0.25, Math.abs(gap) / speed)),
+      speed,
+      dirX: Math.sign(gap),
+      dirZ: -Math.sign(player.body.position.z) * 0.4,
+      height: read.y,
+    };
+    player.gkPose = "dive";
+    player.gkPoseTimer = player.gkDive.duration + CFG.gkRecoverSec;
+    return true;
+  }
+  return false;
+}
+
+// One attempt per shot: the ball has to come within the keeper's reach,
+// which stretches sideways in a dive. Slow shots are held, hard ones
+// parried wide, and anything at the edge of reach is a fingertip parry at
+// best.
+function attemptKeeperSave(keeper) {
+  const read = keeper.gkRead;
+  if (!read || read.tried || read.react > 0) return false;
+  const dive = keeper.gkDive;
+  const agility = clamp01(keeper.stats.agility);
+  const handsX = keeper.body.position.x + (dive ? dive.dirX * 0.9 : 0);
+  const reach = dive ? 1.6 + agility * 0.8 : 1.3 + agility * 0.5;
+  const maxY = dive ? 2.5 + agility * 0.7 : 2.8 + agility * 0.4;
+  const dx = ball.body.position.x - handsX;
+  const dz = ball.body.position.z - keeper.body.position.z;
+  const distance = Math.hypot(dx, dz);
+  if (distance > reach || ball.body.position.y > maxY) return false;
+  read.tried = true;
+
+  const speed = Math.hypot(ball.velocity.x, ball.velocity.z);
+  const edge = distance / reach;
+  const handling = clamp01(0.98 - Math.max(0, speed - CFG.gkHoldSpeed) * 0.012 - edge * edge * 0.4 + agility * 0.1);
+  if (simRandom() >= handling) return false;
+
+  gameState.saves[keeper.team] += 1;
+  countStat(keeper.team, keeper.id, "saves");
+  markShotOnTarget(otherTeam(keeper.team));
+  emitMatchEvent("save", { team: keeper.team, playerId: keeper.id, shooterId: ball.lastTouchId });
+  ball.offsideCheck = null;
+  ball.indirectFrom = null;
+  const catchChance = speed <= CFG.gkHoldSpeed
+    ? 1
+    : clamp01(1 - (speed - CFG.gkHoldSpeed) / (CFG.gkParrySpeed - CFG.gkHoldSpeed)) * (0.6 + keeper.stats.control * 0.4);
+  if (edge < 0.75 && simRandom() < catchChance) {
+    keeper.gkRead = null;
+    keeper.gkPose = "catch";
+    keeper.gkPoseTimer = 0.5;
+    assignBallTo(keeper, { incomingSpeed: 0 });
+    return true;
+  }
+
+  const outward = Math.sign(ball.body.position.x - keeper.body.position.x) || (simRandom() < 0.5 ? -1 : 1);
+  ball.velocity.set(
+    ball.velocity.x * 0.3 + outward * (4 + simRandom() * 6),
+    3 + simRandom() * 4,
+    -ball.velocity.z * (0.2 + simRandom() * 0.25)
+  );
+  ball.spinY *= -0.4;
+  ball.lastTouchTeam = keeper.team;
+  ball.lastTouchId = keeper.id;
+  keeper.cooldown = Math.max(keeper.cooldown, 0.5);
+  keeper.gkPose = dive ? "dive" : "parry";
+  keeper.gkPoseTimer = Math.max(keeper.gkPoseTimer, 0.4);
+  return true;
+}
+
+function cpuDesiredDirection(player) {
+  const desired = new THREE.Vector3();
+  const fieldHalfL = CFG.fieldL / 2;
+
+  if (player.role === "GK") {
+    const homeGoalZ = -teamAttackDir(player.team) * (fieldHalfL - 1.6);
+    let targetX = Math.max(-CFG.goalWidth / 2 + 0.9, Math.min(CFG.goalWidth / 2 - 0.9, ball.body.position.x * 0.72));
+    let targetZ = homeGoalZ;
+
+    const read = player.gkRead;
+    if (read && read.react === 0) {
+      targetX = Math.max(-CFG.goalWidth / 2 + 0.5, Math.min(CFG.goalWidth / 2 - 0.5, read.x));
+      if (read.time < 0.6) targetZ = homeGoalZ - (Math.sign(homeGoalZ) * 2.5);
+    }
+
+    desired.set(targetX - player.body.position.x, 0, targetZ - player.body.position.z);
+    return desired;
+  }
+
+  if (player.hasBall) {
+    if (matchSettings.aiProfile === AI_PROFILES.TACTICAL && player.dribbleDir) {
+      desired.copy(player.dribbleDir);
+      return desired;
+    }
+    const targetGoalZ = teamAttackDir(player.team) * fieldHalfL;
+    desired.set(-player.body.position.x * 0.22, 0, targetGoalZ - player.body.position.z);
+    return desired;
+  }
+
+  const opponentHasBall = ball.owner && ball.owner.team !== player.team;
+  if ((opponentHasBall || !ball.owner) && isPressingPlayer(player)) {
+    desired.copy(ball.body.position).sub(player.body.position);
+    if (player.teamPressAssistTimer > 0 && ball.owner && ball.owner.team !== player.team) {
+      const lead = ball.owner.velocity.clone().multiplyScalar(0.2);
+      desired.copy(ball.owner.body.position.clone().add(lead)).sub(player.body.position);
+    }
+    desired.y = 0;
+    return desired;
+  }
+
+  const supporting = matchSettings.aiProfile === AI_PROFILES.TACTICAL && ball.owner && ball.owner.team === player.team;
+  desired.copy(supporting ? getSupportSpot(player) : getTacticalAnchor(player)).sub(player.body.position);
+  return desired;
+}
+
+// Formation home shifted by the team's line and width instructions, then
+// pulled towards the ball so the shape slides with play.
+function getTacticalAnchor(player) {
+  const tactics = matchSettings.tactics[player.team];
+  const ownGoalSign = -teamAttackDir(player.team);
+  const homeX = player.homeX * TEAM_INSTRUCTIONS.width[tactics.width];
+  const homeZ = player.homeZ + ownGoalSign * TEAM_INSTRUCTIONS.line[tactics.line];
+  const halfW = CFG.fieldW / 2 - 1.5;
+  const halfL = CFG.fieldL / 2 - 2;
+  return new THREE.Vector3(
+    Math.max(-halfW, Math.min(halfW, homeX + ball.body.position.x * 0.16)),
+    0,
+    Math.max(-halfL, Math.min(halfL, homeZ + (ball.body.position.z - homeZ) * 0.24))
+  );
+}
+
+// Difficulty scales every press instruction: a high press sends the whole
+// outfield at Professional and above, while easier CPU sides hold some of
+// it back.
+function isPressingPlayer(player) {
+  if (player.teamPressAssistTimer > 0) return true;
+  const press = TEAM_INSTRUCTIONS.press[matchSettings.tactics[player.team].press];
+  const intensity = getCpuDifficulty(player).press;
+  if (press.count === Infinity && (intensity >= 1 || matchSettings.legacyPressing)) return true;
+  const distance = horizontalDistance(player.body.position, ball.body.position);
+  if (press.radius !== Infinity && distance < press.radius * intensity) return true;
+  const outfield = players.filter((candidate) => candidate.team === player.team && candidate.role !== "GK");
+  const closer = outfield.filter((candidate) => (
+    candidate !== player && horizontalDistance(candidate.body.position, ball.body.position) < distance
+  )).length;
+  return closer < Math.max(1, Math.round(Math.min(press.count, outfield.length) * intensity));
+}
+
+// The stride cycle. The skill shimmy reads it as well as the running pose,
+// so it turns over here whatever is drawing the match.
+function advanceStride(player, dt) {
+  const speed = Math.hypot(player.velocity.x, player.velocity.z);
+  const runAmount = Math.min(1, speed / Math.max(10, player.stats.pace));
+  player.animPhase = (player.animPhase + dt * (2.2 + runAmount * 10.4)) % (Math.PI * 2);
+}
+
+// A simulated player's stride for the step. Replays from before the core
+// turned it over only had it turning under the WebGL renderer.
+function stepStride(player, dt) {
+  if (matchSettings.legacyStride && !simHooks.drawsStride()) return;
+  advanceStride(player, dt);
+}
+
+function updatePlayers(dt) {
+  if (!players.length || !ball) return;
+
+  const humanInputs = { p1: getHumanMoveInput(inputState), cpu: getHumanMoveInput(awayInputState) };
+
+  players.forEach((player) => {
+    player.cooldown = Math.max(0, player.cooldown - dt);
+    player.thinkCooldown = Math.max(0, player.thinkCooldown - dt * getCpuDifficulty(player).think);
+    player.dashTimer = Math.max(0, player.dashTimer - dt);
+    player.dashCooldown = Math.max(0, player.dashCooldown - dt);
+    player.skillTimer = Math.max(0, player.skillTimer - dt);
+    player.skillCooldown = Math.max(0, player.skillCooldown - dt);
+    player.stealTimer = Math.max(0, player.stealTimer - dt);
+    player.stealCooldown = Math.max(0, player.stealCooldown - dt);
+    player.slideTimer = Math.max(0, player.slideTimer - dt);
+    player.slideCooldown = Math.max(0, player.slideCooldown - dt);
+    player.teamPressAssistTimer = Math.max(0, player.teamPressAssistTimer - dt);
+    player.recentTouch = Math.max(0, player.recentTouch - dt);
+    player.controlChaos = Math.max(0, player.controlChaos - dt * (0.2 + player.stats.control * 0.2));
+    player.gkPoseTimer = Math.max(0, player.gkPoseTimer - dt);
+    player.supportTimer = Math.max(0, player.supportTimer - dt);
+
+    if (player.role === "GK" && !player.isHuman && updateKeeper(player, dt)) {
+      player.body.position.add(player.velocity.clone().multiplyScalar(dt));
+      clampToPitch(player);
+      stepStride(player, dt);
+      return;
+    }
+
+    let desired = new THREE.Vector3();
+    let targetSpeed = player.stats.pace;
+    player.sprinting = false;
+
+    if (player.isHuman) {
+      const input = getSideInput(player.team);
+      desired.set(humanInputs[player.team].x, 0, humanInputs[player.team].z);
+      if (input.sprint) {
+        targetSpeed = Math.max(targetSpeed, CFG.sprintSpeed);
+        player.sprinting = true;
+        if (!player.hasBall) {
+          const carrier = players.find(p => p.hasBall && p.team !== player.team);
+          if (carrier) {
+            const toGoal = new THREE.Vector3(-carrier.body.position.x * 0.1, 0, teamAttackDir(carrier.team)).normalize();
+            const containPoint = carrier.body.position.clone().add(toGoal.multiplyScalar(CFG.tackleRange * 1.5));
+            if (horizontalDistance(player.body.position, containPoint) > 0.8) {
+               desired.set(containPoint.x - player.body.position.x, 0, containPoint.z - player.body.position.z).normalize();
+               targetSpeed = Math.min(targetSpeed, carrier.stats.pace * 1.2 + 2);
+            } else {
+               const toCarrier = carrier.body.position.clone().sub(player.body.position).normalize();
+               desired.set(toCarrier.x, 0, toCarrier.z);
+               targetSpeed = carrier.stats.pace * 0.9;
+            }
+            player.sprinting = false; 
+          } else if (player.stealCooldown <= 0 && player.cooldown <= 0.12) {
+            performSteal(player);
+          }
+        }
+      }
+      if (input.skill && player.hasBall) {
+        targetSpeed *= 0.68;
+        player.controlChaos = Math.max(0, player.controlChaos - dt * 0.5);
+      }
+    } else {
+      desired = cpuDesiredDirection(player);
+      targetSpeed = player.stats.pace * (player.role === "GK" ? 0.92 : 1) * getCpuDifficulty(player).pace;
+    }
+
+    if (player.hasBall) {
+      targetSpeed *= 0.92 + player.stats.control * 0.05;
+    }
+
+    if (player.teamPressAssistTimer > 0 && !player.hasBall) {
+      targetSpeed *= 1.2;
+    }
+
+    if (player.dashTimer > 0) {
+      targetSpeed += 8.6 + player.stats.pace * 0.4;
+      player.stamina -= dt * 0.15;
+    } else if (player.sprinting && targetSpeed > 10) {
+      player.stamina -= dt * 0.05;
+    } else {
+      player.stamina += dt * 0.03;
+    }
+    player.stamina = Math.max(0, Math.min(1, player.stamina));
+    
+    targetSpeed *= (0.6 + 0.4 * player.stamina);
+
+    if (desired.lengthSq() > 0.0008) {
+      desired.normalize();
+      const targetVelocity = desired.multiplyScalar(targetSpeed);
+      const accelRate = Math.max(12, player.stats.accel + (player.dashTimer > 0 ? 11 : 0));
+      const blend = clamp01(dt * accelRate / Math.max(2, targetSpeed));
+      player.velocity.lerp(targetVelocity, blend);
+
+      const lookPoint = player.body.position.clone().sub(player.velocity);
+      lookPoint.y = player.body.position.y;
+      const m = new THREE.Matrix4().lookAt(player.body.position, lookPoint, new THREE.Vector3(0, 1, 0));
+      const targetQuat = new THREE.Quaternion().setFromRotationMatrix(m);
+      const turnSpd = dt * (6.0 + player.stats.agility * 4.0);
+      player.body.quaternion.slerp(targetQuat, clamp01(turnSpd));
+    } else {
+      const stopBlend = clamp01(dt * (16 + player.stats.accel * 0.55));
+      player.velocity.lerp(new THREE.Vector3(), stopBlend);
+    }
+
+    if (player.slideTimer > 0) {
+      const slideFacing = getFacingVector(player);
+      const slideSpeed = Math.max(12.2, player.stats.pace * 1.05 + 3.4);
+      player.velocity.x = THREE.MathUtils.lerp(player.velocity.x, slideFacing.x * slideSpeed, clamp01(dt * 9.8));
+      player.velocity.z = THREE.MathUtils.lerp(player.velocity.z, slideFacing.z * slideSpeed, clamp01(dt * 9.8));
+      player.controlChaos = Math.min(1, player.controlChaos + dt * 0.6);
+    }
+
+    if (player.skillTimer > 0 && player.hasBall) {
+      const facing = getFacingVector(player);
+      const lateral = new THREE.Vector3(-facing.z, 0, facing.x);
+      
+      if (player.skillType === "roulette") {
+        const progress = 1 - (player.skillTimer / CFG.skillDurationSec);
+        const spinQuat = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0,1,0), progress * Math.PI * 2);
+        player.body.quaternion.multiply(spinQuat);
+        targetSpeed *= 0.6;
+      } else if (player.skillType === "stepover") {
+        const shimmy = Math.sin(player.animPhase * 8.0) * (0.6 + player.stats.agility * 0.5);
+        player.velocity.x += lateral.x * shimmy;
+        player.velocity.z += lateral.z * shimmy;
+        targetSpeed *= 1.35;
+      } else if (player.skillType === "heel-to-heel") {
+        const progress = 1 - (player.skillTimer / CFG.skillDurationSec);
+        if (progress < 0.4) {
+          targetSpeed *= 0.2; 
+        } else {
+          targetSpeed *= 1.8; 
+          player.velocity.x += facing.x * 2.5;
+          player.velocity.z += facing.z * 2.5;
+        }
+      } else {
+        const shimmy = Math.sin(player.animPhase * 2.4) * (0.34 + player.stats.agility * 0.55);
+        player.velocity.x += lateral.x * shimmy;
+        player.velocity.z += lateral.z * shimmy;
+      }
+    }
+
+    const planarSpeed = Math.hypot(player.velocity.x, player.velocity.z);
+    const maxAllowed = targetSpeed * 1.2 + 1.8;
+    if (planarSpeed > maxAllowed) {
+      const scale = maxAllowed / planarSpeed;
+      player.velocity.x *= scale;
+      player.velocity.z *= scale;
+    }
+
+    player.body.position.add(player.velocity.clone().multiplyScalar(dt));
+    clampToPitch(player);
+    stepStride(player, dt);
+    maybeCpuAction(player);
+  });
+
+  for (let i = 0; i < players.length; i += 1) {
+    for (let j = i + 1; j < players.length; j += 1) {
+      const a = players[i];
+      const b = players[j];
+      const dx = a.body.position.x - b.body.position.x;
+      const dz = a.body.position.z - b.body.position.z;
+      const dist = Math.hypot(dx, dz);
+      const minDist = (a.radius + b.radius) * 0.98;
+      if (dist < minDist && dist > 0.0001) {
+        const overlap = (minDist - dist) * CFG.collisionResolve;
+        const nx = dx / dist;
+        const nz = dz / dist;
+        a.body.position.x += nx * overlap * 0.5;
+        a.body.position.z += nz * overlap * 0.5;
+        b.body.position.x -= nx * overlap * 0.5;
+        b.body.position.z -= nz * overlap * 0.5;
+
+        const relVx = a.velocity.x - b.velocity.x;
+        const relVz = a.velocity.z - b.velocity.z;
+        const alongN = relVx * nx + relVz * nz;
+        if (alongN < 0) {
+          const impulse = -alongN * 0.36;
+          a.velocity.x += nx * impulse;
+          a.velocity.z += nz * impulse;
+          b.velocity.x -= nx * impulse;
+          b.velocity.z -= nz * impulse;
+        }
+      }
+    }
+  }
+
+  if (!ball.owner) {
+    players.forEach((player) => {
+      if (player.role === "GK" && player.gkRead) attemptKeeperSave(player);
+    });
+  }
+
+  if (!ball.owner) {
+    players.forEach((player) => {
+      if (player.cooldown > 0) return;
+      if (player.gkRead) return;
+      const distance = horizontalDistance(player.body.position, ball.body.position);
+      const pickupRange = CFG.pickupRadius + player.stats.control * 0.24;
+      if (distance < pickupRange && ball.body.position.y <= 1.82) {
+        assignBallTo(player, { incomingSpeed: Math.hypot(ball.velocity.x, ball.velocity.z) });
+      }
+    });
+  } else {
+    const owner = ball.owner;
+    const pressure = players.reduce((count, candidate) => {
+      if (candidate.team === owner.team) return count;
+      return horizontalDistance(candidate.body.position, owner.body.position) < 1.46 ? count + 1 : count;
+    }, 0);
+
+    if (pressure > 0) {
+      owner.controlChaos = Math.min(1, owner.controlChaos + dt * pressure * (0.55 - owner.stats.strength * 0.22));
+      if (owner.controlChaos > 0.84 && simRandom() < dt * (0.9 + pressure * 0.7)) {
+        const ownerFacing = getFacingVector(owner);
+        const poke = ownerFacing.multiplyScalar(7 + pressure * 2.4);
+        releaseBall(owner, poke, 0.8, (simRandom() * 2 - 1) * 1.2);
+        owner.cooldown = Math.max(owner.cooldown, 0.2);
+      }
+    }
+  }
+}
+
+// Fresh players at their formation homes. The simulation moves `body`;
+// the page hangs whatever it draws off `mesh`.
+function createPlayers() {
+  players = getRosterSpecs().map((rosterSpec) => {
+    const slot = getFormationSlot(rosterSpec);
+    const spec = { ...rosterSpec, homeX: slot.x, homeZ: slot.z, slotPos: slot.pos };
+    const roleStats = ROLE_DEFAULT_STATS[spec.role] || ROLE_DEFAULT_STATS.FWD;
+    const stats = {
+      ...roleStats,
+      ...(spec.stats || {}),
+    };
+    return {
+      ...spec,
+      isHuman: spec.isHuman && getHumanTeams().includes(spec.team),
+      body: { position: new THREE.Vector3(spec.homeX, 0, spec.homeZ), quaternion: new THREE.Quaternion() },
+      mesh: null,
+      stats,
+      velocity: new THREE.Vector3(),
+      hasBall: false,
+      cooldown: 0,
+      thinkCooldown: 0,
+      dashTimer: 0,
+      dashCooldown: 0,
+      skillTimer: 0,
+      skillCooldown: 0,
+      stealTimer: 0,
+      stealCooldown: 0,
+      slideTimer: 0,
+      slideCooldown: 0,
+      teamPressAssistTimer: 0,
+      controlChaos: 0,
+      animPhase: 0,
+      radius: CFG.playerRadius,
+      recentTouch: 0,
+      sprinting: false,
+      stamina: 1.0,
+      yellowCards: 0,
+      supportSpot: null,
+      supportTimer: 0,
+      dribbleDir: null,
+      gkRead: null,
+      gkDive: null,
+      gkPose: null,
+      gkPoseTimer: 0,
+    };
+  });
+  sentOffPlayers = [];
+}
+
+function createBall() {
+  ball = {
+    body: { position: new THREE.Vector3(0, 0.72, 0), quaternion: new THREE.Quaternion() },
+    mesh: null,
+    velocity: new THREE.Vector3(),
+    owner: null,
+    lastTouchTeam: null,
+    lastTouchId: null,
+    offsideCheck: null,
+    indirectFrom: null,
+    spinY: 0,
+    curl: 0,
+    pressure: 0,
+  };
+}
+
+function resetPositions() {
+  players.forEach((player) => {
+    player.body.position.set(player.homeX, 0, player.homeZ);
+    player.velocity.set(0, 0, 0);
+    player.hasBall = false;
+    player.cooldown = 0;
+    player.thinkCooldown = 0;
+    player.dashTimer = 0;
+    player.dashCooldown = 0;
+    player.skillTimer = 0;
+    player.skillCooldown = 0;
+    player.stealTimer = 0;
+    player.stealCooldown = 0;
+    player.slideTimer = 0;
+    player.slideCooldown = 0;
+    player.teamPressAssistTimer = 0;
+    player.controlChaos = 0;
+    player.sprinting = false;
+    player.supportSpot = null;
+    player.dribbleDir = null;
+    clearKeeperState(player);
+  });
+
+  getHumanTeams().forEach((team) => setHumanPlayer(getDefaultHuman(team)));
+  if (!matchSettings.legacyKickoffs) {
+    clearCentreCircle(otherTeam(gameState.kickoffTeam));
+    if (getHumanTeams().includes(gameState.kickoffTeam)) setHumanPlayer(getKickoffTaker());
+  }
+
+  ball.owner = null;
+  ball.velocity.set(0, 0, 0);
+  ball.body.position.set(0, 0.72, 0);
+  ball.spinY = 0;
+  ball.curl = 0;
+  ball.pressure = 0;
+  ball.offsideCheck = null;
+  ball.indirectFrom = null;
+  gameState.restart = null;
+  gameState.kickoffDelay = 0.35;
+  gameState.kickoffAssigned = false;
+}
+
+// The side not kicking off waits outside the centre circle in its own half.
+function clearCentreCircle(team) {
+  const ownSign = -teamAttackDir(team);
+  players.forEach((player) => {
+    if (player.team !== team) return;
+    const { x, z } = player.body.position;
+    if (Math.hypot(x, z) < CFG.kickoffClearance) player.body.position.z = ownSign * CFG.kickoffClearance;
+  });
+}
+
+// Whoever of the kicking side stands nearest the centre spot; a human side
+// is handed control of them. Recordings from before kickoffs alternated
+// always kicked off with City's controlled player.
+function getKickoffTaker() {
+  if (matchSettings.legacyKickoffs) return getHumanPlayer();
+  return players
+    .filter((player) => player.team === gameState.kickoffTeam && player.role !== "GK")
+    .reduce((best, player) => (
+      !best || Math.hypot(player.body.position.x, player.body.position.z) < Math.hypot(best.body.position.x, best.body.position.z) ? player : best
+    ), null);
+}
+
+function resetMatch(seed = nextMatchSeed()) {
+  seedSimulation(seed);
+  gameState.period = 0;
+  gameState.sidesSwapped = false;
+  gameState.kickoffTeam = "p1";
+  gameState.stoppageAccrued = 0;
+  gameState.addedTime = null;
+  gameState.shootout = null;
+  restoreSentOffPlayers();
+  applySquads();
+  applyFormationHomes("p1");
+  applyFormationHomes("cpu");
+  players.forEach((player) => {
+    player.yellowCards = 0;
+    player.animPhase = simRandom() * Math.PI * 2;
+    player.stamina = 1.0;
+    player.recentTouch = 0;
+    player.skillType = "shimmy";
+  });
+  if (ball) {
+    ball.lastTouchTeam = null;
+    ball.lastTouchId = null;
+  }
+
+  gameState.scores.p1 = 0;
+  gameState.scores.cpu = 0;
+  gameState.offsides.p1 = 0;
+  gameState.offsides.cpu = 0;
+  gameState.fouls.p1 = 0;
+  gameState.fouls.cpu = 0;
+  gameState.saves.p1 = 0;
+  gameState.saves.cpu = 0;
+  gameState.cards = [];
+  gameState.goals = [];
+  gameState.stats = createMatchStats();
+  gameState.matchTime = 0;
+  resetMatchEvents();
+  gameState.clockRemaining = getMatchPeriods()[0].duration;
+  gameState.goalPause = 0;
+  gameState.kickoffDelay = 0;
+  gameState.kickoffAssigned = false;
+  ["p1", "cpu"].forEach((team) => {
+    gameState.switchCooldown[team] = 0;
+    gameState.teamPressTimer[team] = 0;
+    gameState.teamPressCooldown[team] = 0;
+  });
+
+  resetPositions();
+}
+
+// --- Match events ---
+// The simulation reports each moment of a match here once, stamped with
+// the elapsed match time and the ids of the players involved. The page's
+// sound, camera, duel chip, commentary ticker and break and full-time
+// screens subscribe rather than being driven from the actions themselves.
+// Because the events come out of the simulation, a replay logs the same
+// list.
+const matchEventListeners = [];
+let matchEventLog = [];
+
+function onMatchEvent(listener) {
+  matchEventListeners.push(listener);
+}
+
+function emitMatchEvent(type, detail = {}) {
+  const event = {
+    type,
+    time: Math.round(gameState.matchTime * 100) / 100,
+    period: getCurrentPeriod().key,
+    clock: formatMatchClock(),
+    ...detail,
+  };
+  matchEventLog.push(event);
+  matchEventListeners.forEach((listener) => listener(event));
+  return event;
+}
+
+function resetMatchEvents() {
+  matchEventLog = [];
+}
+
+// Shot distance is measured to the centre of the goal being attacked.
+function getShotDistance(player) {
+  const goalZ = teamAttackDir(player.team) * CFG.fieldL / 2;
+  return Math.round(Math.hypot(player.body.position.x, goalZ - player.body.position.z) * 10) / 10;
+}
+
+function emitShotEvent(player, kind, charge, restart) {
+  emitMatchEvent("shot", {
+    team: player.team,
+    playerId: player.id,
+    kind,
+    charge: Math.round(charge * 100) / 100,
+    distance: getShotDistance(player),
+    restart,
+  });
+}
+
+function emitPassEvent(player, target, kind, charge, restart) {
+  emitMatchEvent("pass", {
+    team: player.team,
+    playerId: player.id,
+    targetId: target ? target.id : null,
+    kind,
+    charge: Math.round(charge * 100) / 100,
+    restart,
+  });
+}
+
+function findMatchPlayer(id) {
+  return players.find((player) => player.id === id) || sentOffPlayers.find((player) => player.id === id) || null;
+}
+
+// --- Match stats ---
+// Counted from the actions themselves, so a replay rebuilds them exactly.
+// A shot is on target once it is saved or scores; a pass is completed
+// when a teammate is the next player to control the ball. Possession
+// stays with the side that last touched a loose ball. Shootout kicks
+// are left out.
+function createStatLine() {
+  return {
+    possessionSec: 0,
+    shots: 0,
+    shotsOnTarget: 0,
+    passes: 0,
+    passesCompleted: 0,
+    tackles: 0,
+    slides: 0,
+    dashes: 0,
+    skills: 0,
+  };
+}
+
+function createMatchStats() {
+  return { p1: createStatLine(), cpu: createStatLine(), players: {}, pendingShot: null, pendingPass: null };
+}
+
+function getPlayerStats(id) {
+  const lines = gameState.stats.players;
+  if (!lines[id]) lines[id] = { ...createStatLine(), saves: 0 };
+  return lines[id];
+}
+
+// Player lines take every key; the team line only the ones it carries.
+function countStat(team, id, key) {
+  if (gameState.shootout) return;
+  if (key in gameState.stats[team]) gameState.stats[team][key] += 1;
+  getPlayerStats(id)[key] += 1;
+}
+
+function recordShot(player) {
+  if (gameState.shootout) return;
+  countStat(player.team, player.id, "shots");
+  gameState.stats.pendingShot = { team: player.team, playerId: player.id, distance: getShotDistance(player) };
+  gameState.stats.pendingPass = null;
+}
+
+function recordPass(player) {
+  if (gameState.shootout) return;
+  countStat(player.team, player.id, "passes");
+  gameState.stats.pendingPass = { team: player.team, playerId: player.id };
+  gameState.stats.pendingShot = null;
+}
+
+// Returns the shot it settled, if that side took it.
+function markShotOnTarget(team) {
+  const shot = gameState.stats.pendingShot;
+  gameState.stats.pendingShot = null;
+  if (!shot || shot.team !== team) return null;
+  countStat(team, shot.playerId, "shotsOnTarget");
+  return shot;
+}
+
+// Any controlled touch settles the pass in flight and ends the shot.
+function recordBallControl(player) {
+  const pass = gameState.stats.pendingPass;
+  if (pass && pass.team === player.team && pass.playerId !== player.id) countStat(pass.team, pass.playerId, "passesCompleted");
+  if (pass && pass.team !== player.team && gameState.kickoffAssigned) {
+    emitMatchEvent("interception", { team: player.team, playerId: player.id, fromId: pass.playerId });
+  }
+  gameState.stats.pendingPass = null;
+  gameState.stats.pendingShot = null;
+}
+
+function trackPossession(dt) {
+  const holder = ball.owner;
+  const team = holder ? holder.team : ball.lastTouchTeam;
+  if (!team) return;
+  gameState.stats[team].possessionSec += dt;
+  if (holder) getPlayerStats(holder.id).possessionSec += dt;
+}
+
+// Goals dominate, then shots on target, saves and tackles; passing and
+// time on the ball separate quieter games, and the winning side gets a
+// nudge. Ties go to the earlier roster slot.
+function getMatchRating(player) {
+  const line = gameState.stats.players[player.id] || { ...createStatLine(), saves: 0 };
+  const goals = gameState.goals.filter((goal) => goal.scorerId === player.id && !goal.ownGoal).length;
+  const cards = gameState.cards.filter((card) => card.playerId === player.id);
+  const winner = gameState.scores.p1 === gameState.scores.cpu
+    ? (gameState.shootout && gameState.shootout.winner) || null
+    : gameState.scores.p1 > gameState.scores.cpu ? "p1" : "cpu";
+  return goals * 3
+    + line.shotsOnTarget * 0.6
+    + line.shots * 0.2
+    + line.passesCompleted * 0.12
+    - (line.passes - line.passesCompleted) * 0.08
+    + line.tackles * 0.5
+    + line.saves * 0.7
+    + line.skills * 0.05
+    + line.possessionSec * 0.02
+    + (player.team === winner ? 0.6 : 0)
+    - cards.reduce((sum, card) => sum + (card.card === "red" ? 2 : 0.5), 0);
+}
+
+function getManOfTheMatch() {
+  const squad = [...players, ...sentOffPlayers];
+  if (!squad.length) return null;
+  const order = (player) => MATCH_ROSTER.findIndex((spec) => spec.id === player.id);
+  return squad
+    .sort((a, b) => order(a) - order(b))
+    .map((player) => ({ player, rating: getMatchRating(player) }))
+    .reduce((best, entry) => (!best || entry.rating > best.rating ? entry : best), null);
+}
+
+function getPossessionShare(team) {
+  const total = gameState.stats.p1.possessionSec + gameState.stats.cpu.possessionSec;
+  return total > 0 ? Math.round((gameState.stats[team].possessionSec / total) * 100) : 50;
+}
+
+// The shape render_game_to_text reports: per side and per player, plus
+// the current man of the match.
+function describeMatchStats() {
+  const line = (entry) => ({ ...entry, possessionSec: Number(entry.possessionSec.toFixed(2)) });
+  const best = getManOfTheMatch();
+  const playerLines = {};
+  Object.keys(gameState.stats.players).forEach((id) => {
+    playerLines[id] = line(gameState.stats.players[id]);
+  });
+  return {
+    city: { ...line(gameState.stats.p1), possession: getPossessionShare("p1") },
+    away: { ...line(gameState.stats.cpu), possession: getPossessionShare("cpu") },
+    players: playerLines,
+    manOfTheMatch: best
+      ? { id: best.player.id, name: best.player.name, team: best.player.team === "p1" ? "city" : "away", rating: Number(best.rating.toFixed(2)) }
+      : null,
+  };
+}
+
+function registerGoal(team) {
+  if (team !== "p1" && team !== "cpu") return;
+  if (gameState.shootout) {
+    resolveShootoutKick(true);
+    return;
+  }
+  if (ball.indirectFrom === team) {
+    const lineSign = teamAttackDir(team);
+    awardRestart("goal-kick", otherTeam(team), ball.body.position.x < 0 ? -5 : 5, lineSign * (CFG.fieldL / 2 - 5.5));
+    return;
+  }
+  const shot = markShotOnTarget(team);
+  gameState.scores[team] += 1;
+  const scorer = players.find((player) => player.id === ball.lastTouchId);
+  gameState.goals.push({
+    team,
+    scorerId: scorer ? scorer.id : null,
+    name: scorer ? scorer.name : null,
+    ownGoal: !!scorer && scorer.team !== team,
+    period: getCurrentPeriod().key,
+  });
+  gameState.kickoffTeam = otherTeam(team);
+  addStoppage("goal");
+  gameState.goalPause = CFG.goalPauseSec;
+  emitMatchEvent("goal", {
+    team,
+    playerId: scorer ? scorer.id : null,
+    ownGoal: !!scorer && scorer.team !== team,
+    shotDistance: shot ? shot.distance : null,
+    score: { ...gameState.scores },
+  });
+
+  ball.owner = null;
+  ball.velocity.set(0, 0, 0);
+  ball.body.position.set(0, 0.72, 0);
+  ball.spinY = 0;
+  ball.curl = 0;
+  ball.pressure = 0;
+}
+
+// City kicks off attacking -z; the ends swap for every other period.
+function teamAttackDir(team) {
+  return (team === "p1" ? -1 : 1) * (gameState.sidesSwapped ? -1 : 1);
+}
+
+function teamAttackingEnd(sign) {
+  return teamAttackDir("p1") === sign ? "p1" : "cpu";
+}
+
+function otherTeam(team) {
+  return team === "p1" ? "cpu" : "p1";
+}
+
+// Away takes the generated opponent's name in cup and season fixtures.
+function getTeamName(team) {
+  if (team === "p1") return "City";
+  return matchSettings.opponent ? matchSettings.opponent.name : "Away";
+}
+
+function getRestartTaker() {
+  const restart = gameState.restart;
+  if (!restart) return null;
+  return players.find((player) => player.id === restart.takerId) || null;
+}
+
+function isRestartTaker(player) {
+  return !!(player && gameState.restart && gameState.restart.takerId === player.id);
+}
+
+// Standard ruleset only. The goal line at -z is the one City attacks, so
+// it is defended by the CPU side and vice versa.
+function checkBallOutOfPlay() {
+  const halfW = CFG.fieldW / 2;
+  const halfL = CFG.fieldL / 2;
+  const { x, z } = ball.body.position;
+  if (gameState.shootout) {
+    const out = Math.abs(z) > halfL || Math.abs(x) > halfW;
+    if (out) resolveShootoutKick(false);
+    return out;
+  }
+  const lastTeam = ball.lastTouchTeam || "cpu";
+
+  if (Math.abs(z) > halfL) {
+    const lineSign = z < 0 ? -1 : 1;
+    const defending = otherTeam(teamAttackingEnd(lineSign));
+    const side = x < 0 ? -1 : 1;
+    if (lastTeam === defending) {
+      awardRestart("corner", otherTeam(defending), side * (halfW - 0.6), lineSign * (halfL - 0.6));
+    } else {
+      awardRestart("goal-kick", defending, side * 5, lineSign * (halfL - 5.5));
+    }
+    return true;
+  }
+
+  if (Math.abs(x) > halfW) {
+    const side = x < 0 ? -1 : 1;
+    const spotZ = Math.max(-halfL + 1, Math.min(halfL - 1, z));
+    awardRestart("throw-in", otherTeam(lastTeam), side * halfW, spotZ);
+    return true;
+  }
+  return false;
+}
+
+function awardRestart(type, team, x, z, options = {}) {
+  const halfL = CFG.fieldL / 2;
+  const attackDir = teamAttackDir(team);
+  const spot = new THREE.Vector3(x, 0, z);
+  let inward;
+  if (type === "throw-in") {
+    inward = new THREE.Vector3(-Math.sign(x) * 0.8, 0, attackDir * 0.6);
+  } else if (type === "corner") {
+    inward = new THREE.Vector3(0, 0, Math.sign(z) * (halfL - 11)).sub(spot);
+  } else if (type === "free-kick" || type === "penalty") {
+    inward = new THREE.Vector3(-x * 0.02, 0, attackDir);
+  } else {
+    inward = new THREE.Vector3(-x * 0.04, 0, attackDir);
+  }
+  inward.normalize();
+
+  let candidates = players.filter((player) => player.team === team && (type === "goal-kick" ? player.role === "GK" : player.role !== "GK"));
+  if (!candidates.length) candidates = players.filter((player) => player.team === team);
+  const taker = options.takerId
+    ? players.find((player) => player.id === options.takerId)
+    : type === "penalty"
+      ? candidates.reduce((best, player) => (!best || player.stats.control > best.stats.control ? player : best), null)
+      : candidates.reduce((best, player) => (
+        !best || horizontalDistance(player.body.position, spot) < horizontalDistance(best.body.position, spot) ? player : best
+      ), null);
+  if (!taker) return;
+  addStoppage(type);
+
+  // Walls only go up for free kicks within shooting range; the aim starts
+  // at goal so a quick shot is the default.
+  const goalSpot = new THREE.Vector3(0, 0, attackDir * halfL);
+  const goalDistance = horizontalDistance(spot, goalSpot);
+  const direct = type === "penalty" || (type === "free-kick" && options.direct !== false);
+  let aim = inward.clone();
+  let wall = null;
+  if (type === "free-kick" && goalDistance < 34) {
+    aim = goalSpot.clone().sub(spot).setY(0).normalize();
+    wall = { count: goalDistance < 24 ? 4 : 3, playerIds: [] };
+  }
+
+  if (ball.owner) ball.owner.hasBall = false;
+  ball.owner = null;
+  ball.offsideCheck = null;
+  ball.indirectFrom = null;
+  ball.velocity.set(0, 0, 0);
+  ball.spinY = 0;
+  ball.curl = 0;
+  ball.pressure = 0;
+  ball.body.position.set(x, 0.72, z);
+
+  const standOff = type === "goal-kick" ? 1.1 : 0.7;
+  gameState.restart = {
+    type,
+    team,
+    reason: options.reason || null,
+    offenderId: options.offenderId || null,
+    card: options.card || null,
+    direct,
+    goalDistance,
+    wall,
+    keeperId: null,
+    takerId: taker.id,
+    phase: "setup",
+    timer: CFG.restartSetupSec,
+    x,
+    z,
+    takerX: x - inward.x * standOff,
+    takerZ: z - inward.z * standOff,
+    inwardX: inward.x,
+    inwardZ: inward.z,
+    aimX: aim.x,
+    aimZ: aim.z,
+  };
+  positionForRestart(taker);
+  if (getHumanTeams().includes(team)) setHumanPlayer(taker);
+}
+
+function positionForRestart(taker) {
+  const restart = gameState.restart;
+  const halfL = CFG.fieldL / 2;
+  const lineSign = Math.sign(restart.z) || 1;
+  players.forEach((player) => {
+    player.velocity.set(0, 0, 0);
+    player.hasBall = false;
+    player.dashTimer = 0;
+    player.slideTimer = 0;
+    player.skillTimer = 0;
+    clearKeeperState(player);
+  });
+  taker.body.position.set(restart.takerX, 0, restart.takerZ);
+
+  if (restart.type === "corner") {
+    const inBox = (team, count) => players
+      .filter((player) => player.team === team && player !== taker && player.role !== "GK")
+      .sort((a, b) => Math.abs(lineSign * halfL - a.body.position.z) - Math.abs(lineSign * halfL - b.body.position.z))
+      .slice(0, count);
+    const slots = [-7, -2.5, 2.5, 7];
+    inBox(restart.team, 4).forEach((player, index) => {
+      player.body.position.set(slots[index], 0, lineSign * (halfL - 10 - (index % 2) * 2.5));
+    });
+    inBox(otherTeam(restart.team), 4).forEach((player, index) => {
+      player.body.position.set(slots[index] + 1.2, 0, lineSign * (halfL - 8 - (index % 2) * 2.5));
+    });
+  } else if (restart.type === "goal-kick") {
+    const boxEdge = halfL - CFG.penaltyAreaDepth;
+    players.forEach((player) => {
+      if (player.team === restart.team) return;
+      if (player.body.position.z * lineSign > boxEdge && Math.abs(player.body.position.x) < CFG.penaltyAreaWidth / 2 + 2) {
+        player.body.position.z = lineSign * boxEdge;
+      }
+    });
+  } else if (restart.type === "penalty" && restart.reason === "shootout") {
+    // Shootout: everyone else waits in the centre circle, a side apiece.
+    const keeper = players.find((player) => player.team !== restart.team && player.role === "GK");
+    restart.keeperId = keeper ? keeper.id : null;
+    ["p1", "cpu"].forEach((team) => {
+      const waiting = players.filter((player) => player.team === team && player !== taker && player !== keeper);
+      waiting.forEach((player, index) => {
+        player.body.position.set((index - (waiting.length - 1) / 2) * 1.8, 0, team === "p1" ? -1.2 : 1.2);
+      });
+    });
+    if (keeper) keeper.body.position.set(0, 0, lineSign * (halfL - 0.8));
+  } else if (restart.type === "penalty") {
+    const edgeZ = lineSign * (halfL - CFG.penaltyAreaDepth - 2.5);
+    const keeper = players.find((player) => player.team !== restart.team && player.role === "GK");
+    restart.keeperId = keeper ? keeper.id : null;
+    players
+      .filter((player) => player !== taker && player !== keeper)
+      .forEach((player, index) => {
+        player.body.position.set((index - 3.5) * 2.6, 0, edgeZ - lineSign * (index % 2) * 2);
+      });
+    if (keeper) keeper.body.position.set(0, 0, lineSign * (halfL - 0.8));
+  }
+  if (restart.wall) formWall();
+  clearRestartArea();
+}
+
+function getWallSlots() {
+  const restart = gameState.restart;
+  const wall = restart.wall;
+  const lineSign = teamAttackDir(restart.team);
+  const toGoal = new THREE.Vector3(-restart.x, 0, lineSign * CFG.fieldL / 2 - restart.z).normalize();
+  const lateral = new THREE.Vector3(-toGoal.z, 0, toGoal.x);
+  const centreX = restart.x + toGoal.x * CFG.wallDistance;
+  const centreZ = restart.z + toGoal.z * CFG.wallDistance;
+  return wall.playerIds.map((id, index) => {
+    const offset = (index - (wall.playerIds.length - 1) / 2) * 2.35;
+    return { id, x: centreX + lateral.x * offset, z: centreZ + lateral.z * offset };
+  });
+}
+
+function formWall() {
+  const restart = gameState.restart;
+  const spot = new THREE.Vector3(restart.x, 0, restart.z);
+  restart.wall.playerIds = players
+    .filter((player) => player.team !== restart.team && player.role !== "GK")
+    .sort((a, b) => horizontalDistance(a.body.position, spot) - horizontalDistance(b.body.position, spot))
+    .slice(0, restart.wall.count)
+    .map((player) => player.id);
+  holdWall();
+}
+
+function holdWall() {
+  const restart = gameState.restart;
+  getWallSlots().forEach((slot) => {
+    const player = players.find((candidate) => candidate.id === slot.id);
+    if (!player) return;
+    player.body.position.set(slot.x, 0, slot.z);
+    player.velocity.set(0, 0, 0);
+    player.body.quaternion.setFromAxisAngle(new THREE.Vector3(0, 1, 0), Math.atan2(restart.x - slot.x, restart.z - slot.z));
+  });
+}
+
+function clearRestartArea() {
+  const restart = gameState.restart;
+  players.forEach((player) => {
+    if (player.team === restart.team) return;
+    const dx = player.body.position.x - restart.x;
+    const dz = player.body.position.z - restart.z;
+    const dist = Math.hypot(dx, dz);
+    if (dist >= CFG.restartClearance) return;
+    const nx = dist > 0.01 ? dx / dist : -restart.inwardX;
+    const nz = dist > 0.01 ? dz / dist : -restart.inwardZ;
+    player.body.position.x = restart.x + nx * CFG.restartClearance;
+    player.body.position.z = restart.z + nz * CFG.restartClearance;
+    clampToPitch(player);
+  });
+}
+
+function beginRestartTake() {
+  const restart = gameState.restart;
+  const taker = getRestartTaker();
+  if (!taker) {
+    gameState.restart = null;
+    return;
+  }
+  restart.phase = "take";
+  restart.timer = CFG.restartCpuDelaySec;
+  players.forEach((player) => {
+    player.hasBall = player === taker;
+  });
+  ball.owner = taker;
+  ball.lastTouchTeam = taker.team;
+  ball.lastTouchId = taker.id;
+  taker.cooldown = 0;
+  taker.controlChaos = 0;
+  holdRestart(0);
+}
+
+// Runs after the normal player/ball update while a restart is being taken:
+// the taker and ball stay on the spot, the human aims with the stick, and
+// the opposition keeps its distance.
+function holdRestart(dt) {
+  const restart = gameState.restart;
+  const taker = getRestartTaker();
+  if (!restart || restart.phase !== "take" || !taker) return;
+
+  if (taker.isHuman) {
+    const input = getHumanMoveInput(getSideInput(taker.team));
+    if (Math.hypot(input.x, input.z) > 0.2) {
+      const blend = clamp01(dt * 7);
+      restart.aimX += (input.x - restart.aimX) * blend;
+      restart.aimZ += (input.z - restart.aimZ) * blend;
+    }
+    const inwardDot = restart.aimX * restart.inwardX + restart.aimZ * restart.inwardZ;
+    if (restart.type !== "free-kick" && inwardDot < 0.1) {
+      restart.aimX += restart.inwardX * (0.1 - inwardDot);
+      restart.aimZ += restart.inwardZ * (0.1 - inwardDot);
+    }
+    const length = Math.hypot(restart.aimX, restart.aimZ) || 1;
+    restart.aimX /= length;
+    restart.aimZ /= length;
+  } else {
+    restart.timer = Math.max(0, restart.timer - dt);
+  }
+
+  taker.body.position.set(restart.takerX, 0, restart.takerZ);
+  taker.velocity.set(0, 0, 0);
+  taker.body.quaternion.setFromAxisAngle(new THREE.Vector3(0, 1, 0), Math.atan2(restart.aimX, restart.aimZ));
+  ball.velocity.set(0, 0, 0);
+  if (restart.type === "throw-in") {
+    ball.body.position.set(restart.x + restart.inwardX * 0.8, 2.15, restart.z + restart.inwardZ * 0.8);
+  } else {
+    ball.body.position.set(restart.x, 0.72, restart.z);
+  }
+  if (restart.wall) holdWall();
+  const keeper = restart.keeperId ? players.find((player) => player.id === restart.keeperId) : null;
+  if (keeper) {
+    const goalHalf = CFG.goalWidth / 2 - 1;
+    keeper.body.position.x = Math.max(-goalHalf, Math.min(goalHalf, keeper.body.position.x));
+    keeper.body.position.z = Math.sign(restart.z) * (CFG.fieldL / 2 - 0.8);
+  }
+  clearRestartArea();
+
+  if (!taker.isHuman && restart.timer === 0) {
+    const shootRange = restart.type === "penalty"
+      || (restart.type === "free-kick" && restart.direct && restart.goalDistance < 28 && simRandom() < 0.5);
+    if (shootRange) {
+      const corner = (simRandom() < 0.5 ? -1 : 1) * (CFG.goalWidth / 2 - 1.6);
+      const to = new THREE.Vector3(corner - restart.x, 0, Math.sign(restart.inwardZ) * CFG.fieldL / 2 - restart.z).normalize();
+      restart.aimX = to.x;
+      restart.aimZ = to.z;
+      const placed = restart.type === "penalty" && simRandom() < 0.5;
+      performRestartKick(taker, placed ? "pass" : "long", 0.35 + simRandom() * 0.4);
+      return;
+    }
+    const aim = new THREE.Vector3(restart.aimX, 0, restart.aimZ);
+    const target = findPassTarget(taker, aim);
+    const crossIn = restart.type === "corner"
+      || (restart.type === "goal-kick" && simRandom() < 0.55)
+      || (restart.type === "free-kick" && simRandom() < 0.3);
+    if (target && !crossIn) {
+      const to = target.body.position.clone().sub(taker.body.position).setY(0).normalize();
+      restart.aimX = to.x;
+      restart.aimZ = to.z;
+    }
+    performRestartKick(taker, crossIn ? "long" : "pass", 0.35 + simRandom() * 0.4);
+  }
+}
+
+// style "pass" picks the teammate best lined up with the aim; "long" is a
+// lofted ball straight down the aim (cross, clearance or long throw). On a
+// penalty, or a direct free kick in range, both styles are shots down the
+// aim: "pass" placed, "long" driven.
+function performRestartKick(player, style, charge = 0.5) {
+  const restart = gameState.restart;
+  if (!restart || restart.phase !== "take" || !isRestartTaker(player) || !player.hasBall) return;
+
+  let direction = new THREE.Vector3(restart.aimX, 0, restart.aimZ).normalize();
+  const throwIn = restart.type === "throw-in";
+  const shotOnGoal = restart.type === "penalty"
+    || (restart.type === "free-kick" && restart.direct && restart.goalDistance < 30);
+  let speed;
+  let lift;
+  let target = null;
+  if (restart.type === "penalty") {
+    speed = style === "pass" ? 28 + charge * 8 : 36 + charge * 14;
+    lift = style === "pass" ? 0.6 : 0.8 + charge * 2.6;
+    // Shootout kicks struck from the top of the bar sail over.
+    if (restart.reason === "shootout" && style === "long") lift += Math.max(0, charge - 0.75) * 80;
+  } else if (style === "pass") {
+    target = findPassTarget(player, direction);
+    if (target) {
+      const to = target.body.position.clone().sub(player.body.position).setY(0);
+      if (to.lengthSq() > 0.1) direction = to.normalize();
+    }
+    speed = throwIn ? 15 + charge * 10 : (24 + player.stats.control * 2.4) * (0.6 + charge * 0.8);
+    lift = throwIn ? 4.2 : 1.2 + charge * 3;
+  } else if (throwIn) {
+    speed = 22 + charge * 12;
+    lift = 6.5;
+  } else if (restart.type === "corner") {
+    speed = 26 + charge * 14;
+    lift = 9 + charge * 4;
+  } else if (shotOnGoal) {
+    speed = 34 + charge * 12;
+    lift = 4 + charge * 4;
+  } else if (restart.type === "free-kick") {
+    speed = 30 + charge * 14;
+    lift = 8 + charge * 4;
+  } else {
+    speed = 34 + charge * 16;
+    lift = 11 + charge * 4;
+  }
+
+  // releaseBall starts the ball at the taker's feet, which for throw-ins
+  // and corners is off the pitch; put it back on the spot.
+  gameState.restart = null;
+  releaseBall(player, direction.multiplyScalar(speed), lift, 0);
+  ball.body.position.set(
+    restart.x + restart.inwardX * (throwIn ? 0.8 : 0),
+    throwIn ? 2.15 : 0.72,
+    restart.z + restart.inwardZ * (throwIn ? 0.8 : 0)
+  );
+  if (!restart.direct && restart.type === "free-kick") ball.indirectFrom = restart.team;
+  if (shotOnGoal) {
+    recordShot(player);
+    emitShotEvent(player, restart.type, charge, restart.type);
+  } else {
+    recordPass(player);
+    emitPassEvent(player, target, restart.type, charge, restart.type);
+  }
+  player.cooldown = 0.4;
+  player.thinkCooldown = 0.6;
+}
+
+function updateBall(dt) {
+  if (!ball) return;
+
+  if (ball.owner) {
+    const owner = ball.owner;
+    const facing = getFacingVector(owner);
+    const side = new THREE.Vector3(-facing.z, 0, facing.x);
+    const ownerSpeed = Math.hypot(owner.velocity.x, owner.velocity.z);
+    const spacing = (owner.role === "GK" ? 0.92 : 1.06) 
+      + ownerSpeed * 0.02 
+      + owner.controlChaos * 0.55 
+      + (owner.dashTimer > 0 ? 0.44 : 0)
+      + (ownerSpeed / 20) * 1.6;
+
+    const shimmy = owner.skillTimer > 0 ? Math.sin(owner.animPhase * 2.3) * 0.32 : 0;
+    const target = new THREE.Vector3(
+      owner.body.position.x + facing.x * spacing + side.x * shimmy,
+      (owner.role === "GK" ? 1.06 : 0.72) + Math.min(0.16, ownerSpeed * 0.004),
+      owner.body.position.z + facing.z * spacing + side.z * shimmy
+    );
+
+    const spring = CFG.ballControlSpring * (1 - owner.controlChaos * 0.35);
+    ball.velocity.x += (target.x - ball.body.position.x) * spring * dt;
+    ball.velocity.y += (target.y - ball.body.position.y) * spring * 0.62 * dt;
+    ball.velocity.z += (target.z - ball.body.position.z) * spring * dt;
+    ball.velocity.multiplyScalar(Math.max(0, 1 - dt * (1.2 + owner.controlChaos * 2.3)));
+    ball.body.position.add(ball.velocity.clone().multiplyScalar(dt));
+    ball.spinY *= Math.max(0, 1 - dt * 2.1);
+
+    const leash = horizontalDistance(ball.body.position, owner.body.position);
+    if (leash > 2.34 + owner.stats.control * 0.32 + (ownerSpeed / 20) * 1.6) {
+      const poke = facing.clone().multiplyScalar(8 + ownerSpeed * 0.32);
+      releaseBall(owner, poke, 0.9, (simRandom() * 2 - 1) * 1.1);
+    }
+    if (matchSettings.ruleset === RULESETS.STANDARD && !gameState.restart) {
+      checkBallOutOfPlay();
+    }
+    return;
+  }
+
+  ball.velocity.y -= CFG.gravity * dt;
+  const dragScale = Math.max(0, 1 - CFG.ballDragPerSec * dt);
+  ball.velocity.multiplyScalar(dragScale);
+
+  const horizSpeed = Math.hypot(ball.velocity.x, ball.velocity.z);
+  if (horizSpeed > 0.08 && Math.abs(ball.spinY) > 0.02) {
+    const lateralX = -ball.velocity.z / horizSpeed;
+    const lateralZ = ball.velocity.x / horizSpeed;
+    const magnus = CFG.ballMagnus * Math.min(1.35, horizSpeed / 25) * dt * 60;
+    ball.velocity.x += lateralX * ball.spinY * magnus;
+    ball.velocity.z += lateralZ * ball.spinY * magnus;
+  }
+  ball.body.position.add(ball.velocity.clone().multiplyScalar(dt));
+  
+  if (horizSpeed > 0.01) {
+      const rollAxis = new THREE.Vector3(-ball.velocity.z, 0, ball.velocity.x).normalize();
+      const rollAngle = (horizSpeed * dt) / 0.58;
+      const rollQuat = new THREE.Quaternion().setFromAxisAngle(rollAxis, rollAngle);
+      
+      if (Math.abs(ball.spinY) > 0.01) {
+          const spinQuat = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), ball.spinY * dt * 4);
+          rollQuat.multiply(spinQuat);
+      }
+      
+      ball.body.quaternion.premultiply(rollQuat);
+  }
+
+  if (ball.body.position.y < 0.72) {
+    ball.body.position.y = 0.72;
+    if (Math.abs(ball.velocity.y) > 0.7) {
+      ball.velocity.y *= -0.42;
+    } else {
+      ball.velocity.y = 0;
+    }
+    const groundDamping = Math.max(0, 1 - dt * CFG.looseBallGroundFriction);
+    ball.velocity.x *= groundDamping;
+    ball.velocity.z *= groundDamping;
+    ball.spinY *= Math.max(0, 1 - dt * 1.5);
+  }
+
+  const halfW = CFG.fieldW / 2;
+  const halfL = CFG.fieldL / 2;
+
+  if (matchSettings.ruleset === RULESETS.STANDARD) {
+    if (Math.abs(ball.body.position.z) > halfL
+      && Math.abs(ball.body.position.x) <= CFG.goalWidth / 2
+      && ball.body.position.y <= CFG.goalHeight) {
+      registerGoal(teamAttackingEnd(ball.body.position.z < 0 ? -1 : 1));
+      return;
+    }
+    checkBallOutOfPlay();
+    return;
+  }
+
+  if (ball.body.position.x < -halfW) {
+    ball.body.position.x = -halfW;
+    ball.velocity.x *= -0.78;
+    ball.spinY *= -0.75;
+  } else if (ball.body.position.x > halfW) {
+    ball.body.position.x = halfW;
+    ball.velocity.x *= -0.78;
+    ball.spinY *= -0.75;
+  }
+
+  if (ball.body.position.z < -halfL) {
+    if (Math.abs(ball.body.position.x) <= CFG.goalWidth / 2 && ball.body.position.y <= CFG.goalHeight) {
+      registerGoal(teamAttackingEnd(-1));
+      return;
+    }
+    ball.body.position.z = -halfL;
+    ball.velocity.z *= -0.76;
+    ball.spinY *= 0.66;
+  } else if (ball.body.position.z > halfL) {
+    if (Math.abs(ball.body.position.x) <= CFG.goalWidth / 2 && ball.body.position.y <= CFG.goalHeight) {
+      registerGoal(teamAttackingEnd(1));
+      return;
+    }
+    ball.body.position.z = halfL;
+    ball.velocity.z *= -0.76;
+    ball.spinY *= 0.66;
+  }
+}
+
+// Seconds of added time each kind of stoppage is worth.
+const STOPPAGE_SECONDS = Object.freeze({
+  goal: 4,
+  card: 2,
+  penalty: 2,
+  "free-kick": 1.5,
+  corner: 0.5,
+  "goal-kick": 0.5,
+  "throw-in": 0.25,
+});
+
+// Stoppages once the added time is shown don't extend it further.
+function addStoppage(reason) {
+  if (!matchSettings.stoppage || gameState.addedTime !== null) return;
+  gameState.stoppageAccrued += STOPPAGE_SECONDS[reason] || 0;
+}
+
+// The period clock ran out: show any added time first, then break for
+// the next period or finish the match.
+function handlePeriodEnd() {
+  const periods = getMatchPeriods();
+  const period = periods[gameState.period];
+  if (matchSettings.stoppage && gameState.addedTime === null) {
+    const added = Math.round(Math.min(gameState.stoppageAccrued, period.duration * CFG.maxStoppageShare));
+    if (added > 0) {
+      gameState.addedTime = added;
+      gameState.clockRemaining = added;
+      return;
+    }
+  }
+  const next = periods[gameState.period + 1];
+  if (!next || (next.extra && !period.extra && gameState.scores.p1 !== gameState.scores.cpu)) {
+    handleFullTime();
+    return;
+  }
+  emitMatchEvent("period-end", { next: next.key, score: { ...gameState.scores } });
+  startPeriod(gameState.period + 1);
+}
+
+// Ends swap every period and the kickoff alternates, City taking the
+// first.
+function startPeriod(index) {
+  const period = getMatchPeriods()[index];
+  gameState.period = index;
+  gameState.sidesSwapped = index % 2 === 1;
+  gameState.kickoffTeam = index % 2 === 0 ? "p1" : "cpu";
+  gameState.clockRemaining = period.duration;
+  gameState.stoppageAccrued = 0;
+  gameState.addedTime = null;
+  applyFormationHomes("p1");
+  applyFormationHomes("cpu");
+  resetPositions();
+}
+
+// A cup tie still level after extra time goes straight to penalties, as
+// does any draw whose recording went on to a shootout.
+function handleFullTime() {
+  if (mode !== MODES.PLAYING) return;
+  gameState.clockRemaining = 0;
+
+  const decider = matchSettings.extraTime || (matchRecording && matchRecording.setup.shootout === "decider");
+  if (decider && gameState.scores.p1 === gameState.scores.cpu) {
+    startShootout(false);
+    return;
+  }
+  finishMatch();
+}
+
+// The final whistle stops the simulation; the page's result screen and the
+// cup or season record hang off the full-time event.
+function finishMatch() {
+  const { p1, cpu } = gameState.scores;
+  const shootout = gameState.shootout;
+  const decided = !!(shootout && shootout.winner);
+  mode = MODES.FULLTIME;
+  replayPlayback = null;
+  emitMatchEvent("full-time", {
+    score: { p1, cpu },
+    winner: decided ? shootout.winner : p1 > cpu ? "p1" : cpu > p1 ? "cpu" : null,
+    penalties: decided ? getShootoutScore() : null,
+    standalone: !!(shootout && shootout.standalone),
+  });
+}
+
+// Sides alternate kicks at the -z goal (ends are flipped for Away's kicks
+// so both keepers defend the same net), best-of-five then sudden death.
+// Each side's takers go in order of ball control with the keeper last.
+function startShootout(standalone) {
+  const order = (team) => players
+    .filter((player) => player.team === team)
+    .sort((a, b) => (a.role === "GK") - (b.role === "GK") || b.stats.control - a.stats.control)
+    .map((player) => player.id);
+  gameState.shootout = {
+    standalone,
+    first: simRandom() < 0.5 ? "p1" : "cpu",
+    takers: { p1: order("p1"), cpu: order("cpu") },
+    kicks: { p1: [], cpu: [] },
+    team: null,
+    keeperId: null,
+    phase: "kick",
+    timer: 0,
+    aimX: 0,
+    dive: 0,
+    saved: false,
+    winner: null,
+  };
+  gameState.goalPause = 0;
+  gameState.kickoffDelay = 0;
+  gameState.kickoffAssigned = true;
+  gameState.clockRemaining = 0;
+  nextShootoutKick();
+}
+
+function nextShootoutKick() {
+  const shootout = gameState.shootout;
+  const team = shootout.kicks.p1.length === shootout.kicks.cpu.length ? shootout.first : otherTeam(shootout.first);
+  const takers = shootout.takers[team];
+  shootout.team = team;
+  shootout.phase = "kick";
+  shootout.aimX = 0;
+  shootout.dive = 0;
+  shootout.saved = false;
+  gameState.sidesSwapped = team === "cpu";
+  awardRestart("penalty", team, 0, -(CFG.fieldL / 2 - CFG.penaltySpotDist), {
+    reason: "shootout",
+    takerId: takers[shootout.kicks[team].length % takers.length],
+  });
+  shootout.keeperId = gameState.restart ? gameState.restart.keeperId : null;
+  const keeper = getShootoutKeeper();
+  if (keeper && getHumanTeams().includes(keeper.team)) setHumanPlayer(keeper);
+}
+
+function getShootoutKeeper() {
+  const shootout = gameState.shootout;
+  return shootout && players.find((player) => player.id === shootout.keeperId) || null;
+}
+
+function getShootoutScore() {
+  const kicks = gameState.shootout.kicks;
+  const goals = (team) => kicks[team].filter((kick) => kick.scored).length;
+  return { p1: goals("p1"), cpu: goals("cpu") };
+}
+
+// Decided once one side can't be caught within the five rounds, or after
+// an even number of sudden-death kicks with the sides apart.
+function getShootoutWinner() {
+  const kicks = gameState.shootout.kicks;
+  const goals = getShootoutScore();
+  const rounds = CFG.shootoutRounds;
+  if (kicks.p1.length <= rounds && kicks.cpu.length <= rounds) {
+    if (goals.p1 > goals.cpu + rounds - kicks.cpu.length) return "p1";
+    if (goals.cpu > goals.p1 + rounds - kicks.p1.length) return "cpu";
+    return null;
+  }
+  if (kicks.p1.length !== kicks.cpu.length || goals.p1 === goals.cpu) return null;
+  return goals.p1 > goals.cpu ? "p1" : "cpu";
+}
+
+function isSuddenDeath() {
+  const kicks = gameState.shootout.kicks;
+  return Math.min(kicks.p1.length, kicks.cpu.length) >= CFG.shootoutRounds;
+}
+
+// Runs in place of the open-play update. The taker lines up through the
+// usual penalty restart; a human keeper picks a dive with the stick
+// (left, right, or centre to stay up) and commits to it as the ball is
+// struck. In flight only the keeper and ball move.
+function updateShootout(dt) {
+  const shootout = gameState.shootout;
+  const restart = gameState.restart;
+  const keeper = getShootoutKeeper();
+
+  if (shootout.phase === "kick") {
+    if (restart && restart.phase === "setup") {
+      restart.timer = Math.max(0, restart.timer - dt);
+      if (restart.timer === 0) beginRestartTake();
+      return;
+    }
+    if (restart) {
+      if (keeper && keeper.isHuman) {
+        const stickX = getHumanMoveInput(getSideInput(keeper.team)).x;
+        shootout.dive = Math.abs(stickX) > 0.35 ? Math.sign(stickX) : 0;
+        keeper.velocity.set(0, 0, 0);
+      }
+      holdRestart(dt);
+      // The stick sweeps the aim across the goal mouth; full lock is
+      // just wide of the post.
+      const taker = getRestartTaker();
+      if (gameState.restart && taker && taker.isHuman) {
+        const stickX = getHumanMoveInput(getSideInput(taker.team)).x;
+        shootout.aimX += (stickX * (CFG.goalWidth / 2 + 1.2) - shootout.aimX) * clamp01(dt * 7);
+        const length = Math.hypot(shootout.aimX, CFG.penaltySpotDist);
+        gameState.restart.aimX = shootout.aimX / length;
+        gameState.restart.aimZ = -CFG.penaltySpotDist / length;
+      }
+      if (gameState.restart) return;
+    }
+    if (keeper && keeper.isHuman) commitShootoutDive(keeper);
+    shootout.phase = "flight";
+    shootout.timer = CFG.shootoutFlightSec;
+    return;
+  }
+
+  if (shootout.phase === "flight") {
+    shootout.timer = Math.max(0, shootout.timer - dt);
+    if (keeper) {
+      keeper.gkPoseTimer = Math.max(0, keeper.gkPoseTimer - dt);
+      const diving = keeper.isHuman ? !!keeper.gkDive && updateKeeper(keeper, dt) : updateKeeper(keeper, dt);
+      if (!diving) keeper.velocity.set(0, 0, 0);
+      keeper.body.position.add(keeper.velocity.clone().multiplyScalar(dt));
+      clampToPitch(keeper);
+      stepStride(keeper, dt);
+      if (!ball.owner && keeper.gkRead && attemptKeeperSave(keeper)) shootout.saved = true;
+    }
+    if (ball.owner) {
+      resolveShootoutKick(false);
+      return;
+    }
+    updateBall(dt);
+    if (shootout.phase !== "flight") return;
+    const stopped = shootout.timer < CFG.shootoutFlightSec - 0.6 && Math.hypot(ball.velocity.x, ball.velocity.z) < 1.5;
+    if (shootout.timer === 0 || stopped) resolveShootoutKick(false);
+    return;
+  }
+
+  shootout.timer = Math.max(0, shootout.timer - dt);
+  if (shootout.timer > 0) return;
+  if (shootout.winner) {
+    finishShootout();
+  } else {
+    nextShootoutKick();
+  }
+}
+
+function commitShootoutDive(keeper) {
+  const dirX = gameState.shootout.dive;
+  keeper.gkRead = {
+    react: 0,
+    errorX: 0,
+    errorY: 0,
+    x: keeper.body.position.x + dirX * 6,
+    y: 1.2,
+    time: 0.3,
+    tried: false,
+  };
+  if (!dirX) {
+    keeper.gkPose = "set";
+    keeper.gkPoseTimer = 0.6;
+    return;
+  }
+  keeper.gkDive = {
+    timer: 0,
+    duration: 0.45,
+    speed: CFG.gkDiveSpeed * 2 + clamp01(keeper.stats.agility) * 6,
+    dirX,
+    dirZ: -Math.sign(keeper.body.position.z) * 0.4,
+    height: 1.2,
+  };
+  keeper.gkPose = "dive";
+  keeper.gkPoseTimer = keeper.gkDive.duration + CFG.gkRecoverSec;
+}
+
+function resolveShootoutKick(scored) {
+  const shootout = gameState.shootout;
+  if (shootout.phase !== "flight") return;
+  const taker = players.find((player) => player.id === ball.lastTouchId && player.team === shootout.team);
+  shootout.kicks[shootout.team].push({
+    takerId: taker ? taker.id : null,
+    scored,
+    saved: !scored && shootout.saved,
+  });
+  shootout.phase = "result";
+  shootout.timer = CFG.shootoutResultSec;
+  shootout.winner = getShootoutWinner();
+  ball.velocity.set(0, 0, 0);
+  ball.spinY = 0;
+  // A saved kick was last touched by the keeper, so name the scheduled taker.
+  const takers = shootout.takers[shootout.team];
+  emitMatchEvent("shootout-kick", {
+    team: shootout.team,
+    playerId: takers[(shootout.kicks[shootout.team].length - 1) % takers.length],
+    scored,
+    saved: !scored && shootout.saved,
+  });
+}
+
+function finishShootout() {
+  if (mode !== MODES.PLAYING) return;
+  gameState.restart = null;
+  finishMatch();
+}
+
+// A held shoot or pass button builds up its kick's power.
+function chargeHeldKick(input, dt) {
+  if (input.isChargingShoot) {
+    input.shootCharge = Math.min(1, input.shootCharge + dt * 1.5 * input.chargeRate);
+  } else if (input.isChargingPass) {
+    input.passCharge = Math.min(1, input.passCharge + dt * 2.5 * input.chargeRate);
+  }
+}
+
+// Consumes one side's queued button presses for its controlled player.
+function applyHumanActions(team, dt) {
+  const input = getSideInput(team);
+  const human = getHumanPlayer(team);
+  if (input.switchQueued) {
+    performSwitchPlayer("manual", team);
+    input.switchQueued = false;
+  }
+  if (input.teamPressQueued) {
+    if (human && !performTeamPress(human)) {
+      performSteal(human);
+    }
+    input.teamPressQueued = false;
+  }
+  if (human) {
+    chargeHeldKick(input, dt);
+
+    if (isRestartTaker(human)) {
+      input.skillQueued = false;
+      input.dashQueued = false;
+      input.stealQueued = false;
+      input.slideQueued = false;
+      if (input.queuedShot) {
+        performRestartKick(human, "long", input.queuedShot.charge);
+        input.queuedShot = null;
+      }
+      if (input.queuedPass || input.throughQueued) {
+        performRestartKick(human, "pass", input.queuedPass ? input.queuedPass.charge : 0.5);
+        input.queuedPass = null;
+        input.throughQueued = false;
+      }
+    }
+
+    if (input.skillQueued) {
+      performSkillMove(human, input.skillType);
+      input.skillQueued = false;
+    }
+    if (input.dashQueued) {
+      performDash(human);
+      input.dashQueued = false;
+    }
+    if (input.stealQueued) {
+      performSteal(human);
+      input.stealQueued = false;
+    }
+    if (input.slideQueued) {
+      performSlideTackle(human);
+      input.slideQueued = false;
+    }
+    if (input.queuedShot) {
+      if (human.hasBall) performShoot(human, input.queuedShot.charge, input.queuedShot.type);
+      input.queuedShot = null;
+    }
+    if (input.queuedPass) {
+      if (human.hasBall) performPass(human, input.queuedPass.charge, input.queuedPass.type);
+      input.queuedPass = null;
+    }
+    if (input.throughQueued) {
+      performThroughPass(human);
+      input.throughQueued = false;
+    }
+  }
+  input.slideQueued = false;
+}
+
+// One tick of the match. The page calls it once per frame and then draws
+// whatever state it left behind; headless runs just keep calling it.
+function simulateStep(dt) {
+  if (mode !== MODES.PLAYING || !ball) return;
+  if (replayPlayback) {
+    const run = nextReplayFrame();
+    if (!run) {
+      replayPlayback = null;
+      simHooks.playbackFinished();
+      return;
+    }
+    dt = run[1];
+    applyInputFrame(run);
+  } else {
+    recordInputFrame(dt);
+  }
+  ["p1", "cpu"].forEach((team) => {
+    gameState.switchCooldown[team] = Math.max(0, gameState.switchCooldown[team] - dt);
+    gameState.teamPressTimer[team] = Math.max(0, gameState.teamPressTimer[team] - dt);
+    gameState.teamPressCooldown[team] = Math.max(0, gameState.teamPressCooldown[team] - dt);
+  });
+  getHumanTeams().forEach((team) => applyHumanActions(team, dt));
+
+  if (gameState.shootout) {
+    updateShootout(dt);
+    return;
+  }
+
+  if (gameState.goalPause > 0) {
+    gameState.goalPause = Math.max(0, gameState.goalPause - dt);
+    if (gameState.goalPause === 0) {
+      resetPositions();
+      simHooks.goalPauseEnded();
+    }
+    return;
+  }
+
+  if (gameState.kickoffDelay > 0) {
+    gameState.kickoffDelay = Math.max(0, gameState.kickoffDelay - dt);
+    if (gameState.kickoffDelay === 0 && !gameState.kickoffAssigned) {
+      const kicker = getKickoffTaker();
+      if (kicker) {
+        assignBallTo(kicker);
+        emitMatchEvent("kickoff", { team: kicker.team, playerId: kicker.id });
+      }
+      gameState.kickoffAssigned = true;
+    }
+    return;
+  }
+
+  if (gameState.restart && gameState.restart.phase === "setup") {
+    gameState.restart.timer = Math.max(0, gameState.restart.timer - dt);
+    if (gameState.restart.timer === 0) beginRestartTake();
+    return;
+  }
+
+  gameState.matchTime += dt;
+  maybeCpuTeamPress(dt);
+  updatePlayers(dt);
+  updateBall(dt);
+  trackPossession(dt);
+  if (gameState.restart) holdRestart(dt);
+  getHumanTeams().forEach((team) => maybeAutoSwitchDefender(team));
+  simHooks.stepped();
+
+  gameState.clockRemaining = Math.max(0, gameState.clockRemaining - dt);
+  if (gameState.clockRemaining === 0) handlePeriodEnd();
+}
+
+
+// Kickoff state for a new match, or for playing back a parsed replay from
+// its own setup. A standalone shootout skips straight to the kicks. The new
+// recording starts from the same setup, and playback carries its frames
+// over so anything played afterwards is appended to them.
+function setupMatch(seed, replay = null, shootoutOnly = false) {
+  replayPlayback = replay ? { frames: replay.frames, index: 0, used: 0 } : null;
+  if (replay) applyMatchSetup(replay.setup);
+  else {
+    matchSettings.legacyKickoffs = false;
+    matchSettings.legacyPressing = false;
+    matchSettings.legacyStride = false;
+  }
+  if (!ball) {
+    createPlayers();
+    createBall();
+  }
+  resetMatch(replay ? replay.setup.seed : seed);
+  const shootout = replay ? replay.setup.shootout : shootoutOnly ? "standalone" : null;
+  if (shootout === "standalone") startShootout(true);
+  matchRecording = {
+    setup: { ...captureMatchSetup(), ...(shootout ? { shootout } : {}) },
+    frames: replay ? replay.frames.map((run) => run.slice()) : [],
+    lastKey: null,
+  };
+}
+
+// Plays a whole match without a page, from kickoff to the final whistle.
+// A replay (file object or JSON text) is played back from its own setup
+// and stops where its frames run out; otherwise the match uses the current
+// matchSettings and the human side simply gets no input. Nothing breaks for
+// half time, so a 3-minute match is about 11,000 steps at the default dt.
+function runMatch({ seed = nextMatchSeed(), replay = null, shootoutOnly = false, dt = 1 / 60, maxSteps = 200000 } = {}) {
+  const recording = replay ? parseReplay(replay) : null;
+  setupMatch(seed, recording, shootoutOnly);
+  mode = MODES.PLAYING;
+  let steps = 0;
+  while (mode === MODES.PLAYING && steps < maxSteps) {
+    simulateStep(dt);
+    steps += 1;
+    if (recording && !replayPlayback) break;
+  }
+  return {
+    seed: gameState.seed,
+    steps,
+    finished: mode === MODES.FULLTIME,
+    scores: { ...gameState.scores },
+    result: matchEventLog.find((event) => event.type === "full-time") || null,
+    stats: JSON.parse(JSON.stringify(gameState.stats)),
+    events: matchEventLog.slice(),
+  };
+}
+
+// --- Batch runs ---
+// CPU-vs-CPU matches for balancing: play a run of seeds with City handed to
+// the AI and total up what the current CFG and roster stats produce. Batch
+// matches stop at full time, so no shootout kicks reach the shot figures.
+const BATCH_SHOT_RANGES = Object.freeze([
+  { label: "under 12", max: 12 },
+  { label: "12-20", max: 20 },
+  { label: "20-30", max: 30 },
+  { label: "30+", max: Infinity },
+]);
+
+function createBatchReport() {
+  return {
+    matches: 0,
+    steps: 0,
+    seeds: [],
+    settings: null,
+    results: { p1: 0, draw: 0, cpu: 0 },
+    scores: {},
+    totalGoals: {},
+    goals: { p1: 0, cpu: 0 },
+    possessionSec: { p1: 0, cpu: 0 },
+    steals: { attempts: 0, won: 0 },
+    slides: { attempts: 0, won: 0 },
+    teamPresses: 0,
+    shots: BATCH_SHOT_RANGES.map((range) => ({ range: range.label, shots: 0, goals: 0 })),
+    otherGoals: 0,
+  };
+}
+
+function getShotRange(report, distance) {
+  return report.shots[BATCH_SHOT_RANGES.findIndex((range) => distance < range.max)];
+}
+
+// Standing tackles count as attempts only with the carrier in tackle range;
+// the rest are swings at nobody. CPU players only slide while helping a
+// team press, so the presses called are counted next to the slides. Goals
+// are put against the range of the shot that scored them; own goals and
+// goals bundled in without a shot count as other goals.
+function addBatchResult(report, result) {
+  const { p1, cpu } = result.scores;
+  const score = p1 + "-" + cpu;
+  report.matches += 1;
+  report.steps += result.steps;
+  report.seeds.push(result.seed);
+  report.results[p1 > cpu ? "p1" : cpu > p1 ? "cpu" : "draw"] += 1;
+  report.scores[score] = (report.scores[score] || 0) + 1;
+  report.totalGoals[p1 + cpu] = (report.totalGoals[p1 + cpu] || 0) + 1;
+  report.goals.p1 += p1;
+  report.goals.cpu += cpu;
+  report.possessionSec.p1 += result.stats.p1.possessionSec;
+  report.possessionSec.cpu += result.stats.cpu.possessionSec;
+  result.events.forEach((event) => {
+    if (event.type === "tackle" && event.targetId && (event.slide || event.distance <= CFG.tackleRange)) {
+      const line = event.slide ? report.slides : report.steals;
+      line.attempts += 1;
+      if (event.won) line.won += 1;
+    } else if (event.type === "team-press") {
+      report.teamPresses += 1;
+    } else if (event.type === "shot") {
+      getShotRange(report, event.distance).shots += 1;
+    } else if (event.type === "goal") {
+      if (event.shotDistance === null) report.otherGoals += 1;
+      else getShotRange(report, event.shotDistance).goals += 1;
+    }
+  });
+}
+
+// Plays one CPU-vs-CPU match into the report. Listeners and hooks are
+// parked for the run, so a page gets no sound, commentary or replays from
+// it, and its settings and mode are put back afterwards.
+function playBatchMatch(report, seed) {
+  const saved = {
+    mode,
+    cpuOnly: matchSettings.cpuOnly,
+    extraTime: matchSettings.extraTime,
+    hooks: { ...simHooks },
+    listeners: matchEventListeners.splice(0),
+  };
+  Object.keys(simHooks).forEach((name) => {
+    simHooks[name] = () => {};
+  });
+  setCpuOnly(true);
+  setExtraTime(false);
+  let result;
+  try {
+    result = runMatch({ seed });
+  } finally {
+    setCpuOnly(saved.cpuOnly);
+    setExtraTime(saved.extraTime);
+    Object.assign(simHooks, saved.hooks);
+    matchEventListeners.push(...saved.listeners);
+    mode = saved.mode;
+  }
+  if (!report.settings) {
+    const { ruleset, offside, aiProfile, difficulty, halves, stoppage, formations, tactics } = captureMatchSetup();
+    report.settings = { ruleset, offside, aiProfile, difficulty, halves, stoppage, formations, tactics };
+  }
+  addBatchResult(report, result);
+  return result;
+}
+
+// Seeds run on from the first, so the same count and seed replay the same
+// batch.
+function runBatch({ matches = 100, seed = 1 } = {}) {
+  const report = createBatchReport();
+  for (let index = 0; index < matches; index += 1) {
+    playBatchMatch(report, (normalizeSeed(seed) + index) >>> 0);
+  }
+  return summarizeBatch(report);
+}
+
+function toPercent(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0;
+}
+
+// Rates and averages from a report, with the score lines most common first.
+function summarizeBatch(report) {
+  const matches = Math.max(1, report.matches);
+  const possession = report.possessionSec.p1 + report.possessionSec.cpu;
+  const rate = (line) => ({ ...line, rate: toPercent(line.won, line.attempts) });
+  return {
+    matches: report.matches,
+    steps: report.steps,
+    seeds: report.seeds.length ? [report.seeds[0], report.seeds[report.seeds.length - 1]] : [],
+    settings: report.settings,
+    results: { ...report.results },
+    goalsPerMatch: {
+      total: Math.round(((report.goals.p1 + report.goals.cpu) / matches) * 100) / 100,
+      p1: Math.round((report.goals.p1 / matches) * 100) / 100,
+      cpu: Math.round((report.goals.cpu / matches) * 100) / 100,
+    },
+    totalGoals: Object.keys(report.totalGoals)
+      .map(Number)
+      .sort((a, b) => a - b)
+      .map((goals) => ({ goals, matches: report.totalGoals[goals] })),
+    scores: Object.keys(report.scores)
+      .sort((a, b) => report.scores[b] - report.scores[a] || a.localeCompare(b))
+      .map((score) => ({ score, matches: report.scores[score], share: toPercent(report.scores[score], report.matches) })),
+    possession: { p1: toPercent(report.possessionSec.p1, possession), cpu: toPercent(report.possessionSec.cpu, possession) },
+    steals: rate(report.steals),
+    slides: rate(report.slides),
+    teamPressesPerMatch: Math.round((report.teamPresses / matches) * 100) / 100,
+    shots: report.shots.map((line) => ({ ...line, conversion: toPercent(line.goals, line.shots) })),
+    otherGoals: report.otherGoals,
+  };
+}
+
+// Plain-text version of a summary for the console.
+function formatBatchReport(summary) {
+  const lines = [
+    "FC Street batch: " + summary.matches + " CPU-vs-CPU matches, seeds " + summary.seeds.join("-") + ", " + summary.steps + " steps",
+    "Results: City " + summary.results.p1 + ", draws " + summary.results.draw + ", Away " + summary.results.cpu,
+    "Goals per match: " + summary.goalsPerMatch.total + " (City " + summary.goalsPerMatch.p1 + ", Away " + summary.goalsPerMatch.cpu + ")",
+    "Goals in a match: " + summary.totalGoals.map((line) => line.goals + ":" + line.matches).join("  "),
+    "Possession: City " + summary.possession.p1 + "%, Away " + summary.possession.cpu + "%",
+    "Steals won: " + summary.steals.won + "/" + summary.steals.attempts + " (" + summary.steals.rate + "%)",
+    "Team presses per match: " + summary.teamPressesPerMatch,
+    "Slide tackles won: " + summary.slides.won + "/" + summary.slides.attempts + " (" + summary.slides.rate + "%)",
+    "Shot conversion by distance:",
+    ...summary.shots.map((line) => "  " + line.range + ": " + line.goals + "/" + line.shots + " (" + line.conversion + "%)"),
+    "  other goals: " + summary.otherGoals,
+    "Score lines:",
+    ...summary.scores.map((line) => "  " + line.score + ": " + line.matches + " (" + line.share + "%)"),
+  ];
+  return lines.join("\n");
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    CFG,
+    MODES,
+    RULESETS,
+    AI_PROFILES,
+    DIFFICULTY_LEVELS,
+    FORMATIONS,
+    TEAM_INSTRUCTIONS,
+    matchSettings,
+    gameState,
+    inputState,
+    awayInputState,
+    simHooks,
+    get mode() {
+      return mode;
+    },
+    set mode(value) {
+      mode = value;
+    },
+    get players() {
+      return players;
+    },
+    get ball() {
+      return ball;
+    },
+    get matchEvents() {
+      return matchEventLog;
+    },
+    runMatch,
+    runBatch,
+    createBatchReport,
+    playBatchMatch,
+    summarizeBatch,
+    formatBatchReport,
+    setupMatch,
+    simulateStep,
+    onMatchEvent,
+    applyMatchSetup,
+    captureMatchSetup,
+    exportReplay,
+    parseReplay,
+    hashSimState,
+    seedSimulation,
+    setRuleset,
+    setOffsideRule,
+    setAiProfile,
+    setDifficulty,
+    setVersusMode,
+    setCpuOnly,
+    setHalves,
+    setStoppageTime,
+    setExtraTime,
+    setOpponent,
+    setFormation,
+    setTeamInstruction,
+  };
+}